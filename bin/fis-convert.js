@@ -0,0 +1,562 @@
+#!/usr/bin/env node
+/**
+ * @file Command-line tool for encoding, decoding and inspecting FIS-Control binary files.
+ *
+ * Exit codes: 0 - success, 1 - conversion failed, 2 - invalid usage.
+ */
+
+"use strict";
+
+import {existsSync, mkdirSync, readFileSync, writeFileSync} from 'node:fs';
+import {join} from 'node:path';
+
+import {
+  ConfigChecksumError,
+  convertBinaryToConfig,
+  convertConfigToBinary,
+  repairConfigChecksum,
+  xmodemCRC
+} from '../config-converter.js';
+import {createDefaultConfig} from '../config-defaults.js';
+import {configFromJSON, configToJSON} from '../config-json.js';
+import {applyConfigPatch} from '../config-patch.js';
+import {applyConfigTheme, extractConfigTheme} from '../config-theme.js';
+import {ConfigValidationError} from '../config-validator.js';
+import {DIGIT_CHARACTERS, renderDigitsIntoNeedles} from '../digit-font.js';
+import {
+  convertBackgrounds,
+  convertBinaryToBackgrounds,
+  convertBinaryToNeedlesAndDigits,
+  convertNeedlesAndDigits,
+  validateNeedles
+} from '../image-converter.js';
+import {packTheme, unpackTheme} from '../theme-pack.js';
+
+const USAGE = `Usage: fis-convert <command> [options]
+
+Commands:
+  config init <config.json> [--layout <n>] [--factory <settings.bin>]
+      Writes a complete JSON config. Values are copied from a known-good --factory settings binary,
+      without one they are neutral (0, off, empty) and not a device's factory state. --layout sets
+      layout 0 (gauges), 1 (virtual cockpit) or 2 (back to the future).
+  config encode <config.json> <settings.bin> [--strict]
+      Converts a JSON config into a "settings" binary.
+  config decode <settings.bin> <config.json> [--repair-checksum]
+      Converts a "settings" binary into a JSON config.
+  config patch <config.json> <patch.json> <output.json> [--inverse <inverse.json>]
+      Applies a JSON Patch (RFC 6902) to a JSON config. --inverse saves the patch that undoes it.
+  needles pack <directory> <needles.bin> [--base <needles.bin>] [--config <config.json>] [--render-digits]
+      Converts needle1 - needle3 and optional digit0 - digit9, digitDot and digitMinus images (.png
+      or .bmp) from a directory into a "needles" binary. With --base only the slots with an image
+      are replaced in a copy of an existing binary. With --config the needle sizes are checked
+      against the gauge configs first. --render-digits draws missing digit images with the built-in
+      font in the size of the config's digits.
+  needles unpack <needles.bin> <directory> --config <config.json> [--skip-empty]
+      Extracts the needle and digit images of a "needles" binary as PNGs named like needles pack
+      expects them. The binary doesn't store sizes, so they are taken from the config.
+      --skip-empty leaves out slots that contain only 0xFF bytes.
+  background pack <gauges.png> <background.bin> [--tables <tables.png>] [--fit <mode>] [--filter <name>]
+                  [--quantization <mode>]
+      Converts 800x480 gauges and optional 96x96 tables backgrounds (PNG or BMP) into a "background"
+      binary. Images of other sizes need --fit crop, letterbox or scale. Scaling uses --filter
+      nearest, bilinear or lanczos3 (default). Colors are reduced with --quantization truncate
+      (default), round, ordered or floyd-steinberg.
+  background unpack <background.bin> <directory>
+      Extracts the gauges and tables backgrounds of a "background" binary as gauges.png and tables.png.
+  theme pack <directory> <theme.zip> --name <name> [--author <name>] [--firmware <version>]
+      Packs config.json, the needle and digit images and the gauges and optional tables backgrounds
+      from a directory into a theme pack with freshly converted binaries and a manifest.
+  theme unpack <theme.zip> <directory>
+      Checks a theme pack against its manifest and extracts binaries, config and images.
+  theme extract <config.json> <theme.json>
+      Saves the look of a config: layout, colors, digits, gauge geometry and numerical gauge positions.
+  theme apply <config.json> <theme.json> <output.json>
+      Applies a theme (or the look of another config.json) onto a config, keeping its tables and
+      control units. Theme values that were left alone are listed.
+  inspect <file.bin>
+      Prints what kind of blob a file is and what it contains.
+`;
+
+const NEEDLE_FILES = ['needle1', 'needle2', 'needle3', 'digit0', 'digit1', 'digit2', 'digit3', 'digit4',
+  'digit5', 'digit6', 'digit7', 'digit8', 'digit9', 'digitDot', 'digitMinus'];
+
+/**
+ * Error caused by wrong command-line arguments.
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Splits arguments into positional ones and --options.
+ *
+ * @param {Array<string>} args
+ * @param {Array<string>} valueOptions Options that take a value.
+ * @param {Array<string>} flagOptions Options without a value.
+ *
+ * @returns {{positional: Array<string>, options: Object.<string, (string|boolean)>}}
+ * @throws {UsageError} Unknown option or missing option value.
+ */
+function parseArgs(args, valueOptions, flagOptions) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (flagOptions.includes(name)) {
+      options[name] = true;
+    } else if (valueOptions.includes(name)) {
+      if (i + 1 >= args.length) {
+        throw new UsageError(`Option ${arg} requires a value.`);
+      }
+      options[name] = args[++i];
+    } else {
+      throw new UsageError(`Unknown option ${arg}.`);
+    }
+  }
+  return {positional, options};
+}
+
+/**
+ * Checks the number of positional arguments.
+ *
+ * @param {Array<string>} positional
+ * @param {number} count
+ * @param {string} command Command name used in the error message.
+ *
+ * @throws {UsageError}
+ */
+function expectArgs(positional, count, command) {
+  if (positional.length !== count) {
+    throw new UsageError(`${command} expects ${count} argument(s), got ${positional.length}.`);
+  }
+}
+
+/**
+ * Reads a whole file into an ArrayBuffer.
+ *
+ * @param {string} path
+ *
+ * @returns {ArrayBuffer}
+ */
+function readArrayBuffer(path) {
+  const data = readFileSync(path);
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+/**
+ * @param {string} path
+ * @param {ArrayBuffer} buffer
+ */
+function writeArrayBuffer(path, buffer) {
+  writeFileSync(path, new Uint8Array(buffer));
+}
+
+/**
+ * Reads an image from a directory, trying the .png and then the .bmp file.
+ *
+ * @param {string} directory
+ * @param {string} name File name without extension.
+ *
+ * @returns {ArrayBuffer|undefined} Undefined if neither file exists.
+ */
+function readImage(directory, name) {
+  const path = ['png', 'bmp'].map((extension) => join(directory, `${name}.${extension}`)).find(existsSync);
+  return path ? readArrayBuffer(path) : undefined;
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function configInit(args) {
+  const {positional, options} = parseArgs(args, ['layout', 'factory'], []);
+  expectArgs(positional, 1, 'config init');
+
+  const layout = options.layout === undefined ? undefined : Number(options.layout);
+  if (layout !== undefined && !Number.isInteger(layout)) {
+    throw new UsageError(`Invalid layout ${options.layout}.`);
+  }
+  const factorySettings = options.factory === undefined ? undefined : readArrayBuffer(options.factory);
+  writeFileSync(positional[0], configToJSON(createDefaultConfig({layout}, factorySettings)));
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function configEncode(args) {
+  const {positional, options} = parseArgs(args, [], ['strict']);
+  expectArgs(positional, 2, 'config encode');
+
+  const config = configFromJSON(readFileSync(positional[0], 'utf8'));
+  writeArrayBuffer(positional[1], convertConfigToBinary(config, {strict: !!options.strict}));
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function configDecode(args) {
+  const {positional, options} = parseArgs(args, [], ['repair-checksum']);
+  expectArgs(positional, 2, 'config decode');
+
+  let binary = readArrayBuffer(positional[0]);
+  if (options['repair-checksum']) {
+    binary = repairConfigChecksum(binary);
+  }
+  writeFileSync(positional[1], configToJSON(convertBinaryToConfig(binary)));
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function configPatch(args) {
+  const {positional, options} = parseArgs(args, ['inverse'], []);
+  expectArgs(positional, 3, 'config patch');
+
+  const config = configFromJSON(readFileSync(positional[0], 'utf8'));
+  const {config: patched, inverse} = applyConfigPatch(config, JSON.parse(readFileSync(positional[1], 'utf8')));
+  writeFileSync(positional[2], configToJSON(patched));
+  if (options.inverse) {
+    writeFileSync(options.inverse, JSON.stringify(inverse, null, 2) + '\n');
+  }
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function needlesPack(args) {
+  const {positional, options} = parseArgs(args, ['base', 'config'], ['render-digits']);
+  expectArgs(positional, 2, 'needles pack');
+  if (options['render-digits'] && !options.config) {
+    throw new UsageError('Option --render-digits requires --config.');
+  }
+
+  const images = NEEDLE_FILES.map((name) => readImage(positional[0], name));
+  const config = options.config ? configFromJSON(readFileSync(options.config, 'utf8')) : undefined;
+  if (config) {
+    // Needles missing from the directory are kept from the base binary.
+    const keptNeedles = options.base ? [0, 1, 2].filter((i) => !images[i]).map((i) => `needles[${i}]`) : [];
+    const issues = validateNeedles(images.slice(0, 3), config.gaugeConfigs)
+      .filter((issue) => !keptNeedles.includes(issue.path));
+    if (issues.length > 0) {
+      throw new ConfigValidationError(issues);
+    }
+  }
+
+  let binary = convertNeedlesAndDigits({
+    needles: images.slice(0, 3),
+    digits: Object.fromEntries(DIGIT_CHARACTERS.map((character, slot) => [character, images[slot + 3]])),
+    base: options.base ? readArrayBuffer(options.base) : undefined,
+  });
+  if (options['render-digits']) {
+    const missingSlots = images.slice(3).map((image, slot) => (image ? -1 : slot)).filter((slot) => slot >= 0);
+    binary = renderDigitsIntoNeedles(binary, config.digitsConfig, {slots: missingSlots});
+  }
+  writeArrayBuffer(positional[1], binary);
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function needlesUnpack(args) {
+  const {positional, options} = parseArgs(args, ['config'], ['skip-empty']);
+  expectArgs(positional, 2, 'needles unpack');
+  if (!options.config) {
+    throw new UsageError('Option --config is required.');
+  }
+
+  const config = configFromJSON(readFileSync(options.config, 'utf8'));
+  const {needles, digits} = convertBinaryToNeedlesAndDigits(readArrayBuffer(positional[0]), config.gaugeConfigs,
+    config.digitsConfig, {detectEmptySlots: !!options['skip-empty']});
+  const directory = positional[1];
+  mkdirSync(directory, {recursive: true});
+  [...needles, ...digits].forEach((image, index) => {
+    if (image) {
+      writeArrayBuffer(join(directory, `${NEEDLE_FILES[index]}.png`), image.png);
+    }
+  });
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function backgroundPack(args) {
+  const {positional, options} = parseArgs(args, ['tables', 'fit', 'filter', 'quantization'], []);
+  expectArgs(positional, 2, 'background pack');
+
+  const tablesBackground = options.tables ? readArrayBuffer(options.tables) : undefined;
+  const backgroundOptions = {fit: options.fit, filter: options.filter, quantization: options.quantization};
+  writeArrayBuffer(positional[1],
+    convertBackgrounds(readArrayBuffer(positional[0]), tablesBackground, backgroundOptions));
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function backgroundUnpack(args) {
+  const {positional} = parseArgs(args, [], []);
+  expectArgs(positional, 2, 'background unpack');
+
+  const {gaugesBackground, tablesBackground} = convertBinaryToBackgrounds(readArrayBuffer(positional[0]));
+  const directory = positional[1];
+  mkdirSync(directory, {recursive: true});
+  writeArrayBuffer(join(directory, 'gauges.png'), gaugesBackground);
+  writeArrayBuffer(join(directory, 'tables.png'), tablesBackground);
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function themePack(args) {
+  const {positional, options} = parseArgs(args, ['name', 'author', 'firmware'], []);
+  expectArgs(positional, 2, 'theme pack');
+  if (!options.name) {
+    throw new UsageError('Option --name is required.');
+  }
+
+  const directory = positional[0];
+  const images = NEEDLE_FILES.map((name) => readImage(directory, name));
+  writeArrayBuffer(positional[1], packTheme({
+    name: options.name,
+    author: options.author,
+    firmwareVersion: options.firmware,
+    config: configFromJSON(readFileSync(join(directory, 'config.json'), 'utf8')),
+    needles: images.slice(0, 3),
+    digits: Object.fromEntries(DIGIT_CHARACTERS.map((character, slot) => [character, images[slot + 3]])),
+    gaugesBackground: readImage(directory, 'gauges'),
+    tablesBackground: readImage(directory, 'tables'),
+  }));
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function themeUnpack(args) {
+  const {positional} = parseArgs(args, [], []);
+  expectArgs(positional, 2, 'theme unpack');
+
+  const theme = unpackTheme(readArrayBuffer(positional[0]));
+  const directory = positional[1];
+  mkdirSync(directory, {recursive: true});
+  writeFileSync(join(directory, 'manifest.json'), JSON.stringify(theme.manifest, null, 2) + '\n');
+  writeFileSync(join(directory, 'config.json'), configToJSON(theme.config));
+  writeArrayBuffer(join(directory, 'settings.bin'), theme.settings);
+  writeArrayBuffer(join(directory, 'needles.bin'), theme.needles);
+  writeArrayBuffer(join(directory, 'background.bin'), theme.background);
+
+  const {needles, digits, gaugesBackground, tablesBackground} = theme.images;
+  const images = [
+    ...needles.map((image, index) => [NEEDLE_FILES[index], image]),
+    ...DIGIT_CHARACTERS.map((character, slot) => [NEEDLE_FILES[slot + 3], digits[character]]),
+    ['gauges', gaugesBackground],
+    ['tables', tablesBackground],
+  ];
+  for (const [name, image] of images.filter(([, image]) => image)) {
+    const extension = new Uint8Array(image)[0] === 0x42 ? 'bmp' : 'png';
+    writeArrayBuffer(join(directory, `${name}.${extension}`), image);
+  }
+  process.stdout.write(`${theme.manifest.name} by ${theme.manifest.author || 'unknown author'}, firmware `
+    + `${theme.manifest.firmwareVersion || 'unknown'}\n`);
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function themeExtract(args) {
+  const {positional} = parseArgs(args, [], []);
+  expectArgs(positional, 2, 'theme extract');
+
+  const config = configFromJSON(readFileSync(positional[0], 'utf8'));
+  writeFileSync(positional[1], JSON.stringify(extractConfigTheme(config), null, 2) + '\n');
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function themeApply(args) {
+  const {positional} = parseArgs(args, [], []);
+  expectArgs(positional, 3, 'theme apply');
+
+  const config = configFromJSON(readFileSync(positional[0], 'utf8'));
+  const theme = JSON.parse(readFileSync(positional[1], 'utf8'));
+  const {config: themed, skipped} = applyConfigTheme(config, theme);
+  writeFileSync(positional[2], configToJSON(themed));
+  if (skipped.length > 0) {
+    process.stderr.write('fis-convert: Left alone:\n'
+      + skipped.map((issue) => `  ${issue.path}: ${issue.message}`).join('\n') + '\n');
+  }
+}
+
+/**
+ * Describes a "settings" binary.
+ *
+ * @param {ArrayBuffer} binary
+ *
+ * @returns {Array<string>} Report lines.
+ */
+function inspectSettings(binary) {
+  const view = new DataView(binary);
+  const storedCRC = view.getUint16(binary.byteLength - 2, true);
+  const calculatedCRC = xmodemCRC(binary, binary.byteLength - 2);
+  const hex = (value) => `0x${value.toString(16).padStart(4, '0')}`;
+  const checksumState = storedCRC === calculatedCRC ? 'valid' : `invalid, expected ${hex(calculatedCRC)}`;
+  const lines = [
+    'Type: settings',
+    `Version: ${view.getUint8(0)}`,
+    `Checksum: ${hex(storedCRC)} (${checksumState})`,
+  ];
+
+  try {
+    const config = convertBinaryToConfig(repairConfigChecksum(binary));
+    lines.push(`Language: ${config.language}, car: ${config.car}, layout: ${config.layout}`);
+    config.tableConfigs.forEach((tableConfig, index) => {
+      const labels = tableConfig.rows.map((row) => row.label).filter((label) => label).join(', ');
+      lines.push(`Table ${index + 1}: control unit ${tableConfig.controlUnitIndex}, rows: ${labels || '-'}`);
+    });
+  } catch (e) {
+    lines.push(`Can't be decoded: ${e.message}`);
+  }
+  return lines;
+}
+
+/**
+ * Describes a "needles" binary.
+ *
+ * @param {ArrayBuffer} binary
+ *
+ * @returns {Array<string>} Report lines.
+ */
+function inspectNeedles(binary) {
+  const bytes = new Uint8Array(binary);
+  const usedBytes = (offset, size) => {
+    for (let i = size - 1; i >= 0; i--) {
+      if (bytes[offset + i] !== 0xFF) {
+        return i + 1;
+      }
+    }
+    return 0;
+  };
+
+  const lines = ['Type: needles'];
+  for (let i = 0; i < 3; i++) {
+    lines.push(`needle${i + 1}: ${usedBytes(32768 * i, 32768)} of 32768 bytes used`);
+  }
+  for (let i = 0; i < 12; i++) {
+    lines.push(`${NEEDLE_FILES[i + 3]}: ${usedBytes(98304 + 2730 * i, 2730)} of 2730 bytes used`);
+  }
+  return lines;
+}
+
+/**
+ * Describes a "background" binary.
+ *
+ * @param {ArrayBuffer} binary
+ *
+ * @returns {Array<string>} Report lines.
+ */
+function inspectBackground(binary) {
+  const tables = new Uint8Array(binary, 768000, 96 * 96 * 2);
+  return [
+    'Type: background',
+    'Gauges background: 800x480 RGB565',
+    `Tables background: 96x96 RGB565${tables.every((value) => value === 0) ? ' (empty)' : ''}`,
+  ];
+}
+
+/**
+ * @param {Array<string>} args
+ */
+function inspect(args) {
+  const {positional} = parseArgs(args, [], []);
+  expectArgs(positional, 1, 'inspect');
+
+  const binary = readArrayBuffer(positional[0]);
+  let lines;
+  switch (binary.byteLength) {
+    case 16384:
+      lines = inspectSettings(binary);
+      break;
+    case 131072:
+      lines = inspectNeedles(binary);
+      break;
+    case 786432:
+      lines = inspectBackground(binary);
+      break;
+    default:
+      throw new Error(
+        `Unknown blob type, ${binary.byteLength} bytes don't match settings, needles or background.`);
+  }
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+const COMMANDS = {
+  'config init': configInit,
+  'config encode': configEncode,
+  'config decode': configDecode,
+  'config patch': configPatch,
+  'needles pack': needlesPack,
+  'needles unpack': needlesUnpack,
+  'background pack': backgroundPack,
+  'background unpack': backgroundUnpack,
+  'theme pack': themePack,
+  'theme unpack': themeUnpack,
+  'theme extract': themeExtract,
+  'theme apply': themeApply,
+  'inspect': inspect,
+};
+
+/**
+ * Runs a command.
+ *
+ * @param {Array<string>} argv Arguments without the node and script paths.
+ *
+ * @returns {number} Exit code.
+ */
+function main(argv) {
+  if (argv.length === 0 || argv[0] === '--help' || argv[0] === 'help') {
+    process.stdout.write(USAGE);
+    return argv.length === 0 ? 2 : 0;
+  }
+
+  let name = argv[0];
+  let args = argv.slice(1);
+  if (!COMMANDS[name] && COMMANDS[`${argv[0]} ${argv[1]}`]) {
+    name = `${argv[0]} ${argv[1]}`;
+    args = argv.slice(2);
+  }
+
+  try {
+    if (!COMMANDS[name]) {
+      throw new UsageError(`Unknown command "${argv.slice(0, 2).join(' ')}".`);
+    }
+    COMMANDS[name](args);
+    return 0;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      process.stderr.write(`fis-convert: ${e.message}\n\n${USAGE}`);
+      return 2;
+    }
+    if (e instanceof ConfigValidationError) {
+      process.stderr.write(`fis-convert: Config has validation errors:\n`
+        + e.issues.map((issue) => `  ${issue.path}: ${issue.message}`).join('\n') + '\n');
+      return 1;
+    }
+    if (e instanceof ConfigChecksumError) {
+      process.stderr.write(`fis-convert: ${e.message} Use --repair-checksum to load it anyway.\n`);
+      return 1;
+    }
+    process.stderr.write(`fis-convert: ${e.message}\n`);
+    return 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
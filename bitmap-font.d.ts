@@ -0,0 +1,27 @@
+/** Width of a character cell in font pixels, including one column of spacing. */
+export const FONT_CELL_WIDTH: number;
+
+/** Height of a character cell in font pixels, including one row of spacing. */
+export const FONT_CELL_HEIGHT: number;
+
+/**
+ * Calculates the size of a rendered text.
+ *
+ * @param {string} text
+ * @param {number} [scale] Integer scale of the font pixels, 1 by default.
+ *
+ * @returns {[number, number]} [width, height] tuple, without the spacing after the last character.
+ */
+export function measureText(text: string, scale?: number): [number, number];
+
+/**
+ * Renders a text as a grayscale image, black on white, so it can be drawn in any color with drawGlyph.
+ *
+ * @param {string} text
+ * @param {number} [scale] Integer scale of the font pixels, 1 by default.
+ *
+ * @returns {RgbaImage} Opaque RGBA image.
+ */
+export function renderText(text: string, scale?: number): RgbaImage;
+
+import {RgbaImage} from './preview-drawing.js';
@@ -1,12 +1,66 @@
+/**
+ * Error thrown when a settings file checksum doesn't match its content.
+ */
+export class ConfigChecksumError extends Error {
+  /**
+   * @param {number} expected Checksum calculated from the content.
+   * @param {number} actual Checksum stored in the last two bytes.
+   */
+  constructor(expected: number, actual: number);
+
+  expected: number;
+  actual: number;
+}
+
+/**
+ * Calculate CRC checksum for the XModem protocol.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @param {number} [length] Number of bytes to checksum, defaults to the whole input.
+ *
+ * @returns {number} CRC checksum.
+ */
+export function xmodemCRC(data: ArrayBuffer | ArrayBufferView, length?: number): number;
+
+/**
+ * Checks that the checksum stored in a binary config matches its content.
+ *
+ * @param {ArrayBuffer} binaryArray
+ *
+ * @throws {ConfigChecksumError} Stored and calculated checksums differ.
+ */
+export function verifyConfigChecksum(binaryArray: ArrayBuffer): void;
+
+/**
+ * Recalculates the checksum of a binary config, e.g. after it was patched by hand.
+ *
+ * @param {ArrayBuffer} binaryArray
+ *
+ * @returns {ArrayBuffer} Copy of the binary config with a valid checksum.
+ * @throws {Error} Valid binary array must be provided.
+ */
+export function repairConfigChecksum(binaryArray: ArrayBuffer): ArrayBuffer;
+
+/**
+ * Config version written and read by the converter. Files of older firmware versions aren't supported.
+ */
+export const CONFIG_VERSION: number;
+
 /**
  * Converts all config values into a single binary object.
  *
  * @param {Config} config Full configuration.
+ * @param {{strict: (boolean|undefined)}} [options] In strict mode the config is checked with validateConfig
+ *     first.
  *
  * @returns {ArrayBuffer} Binary data that can be loaded into FIS-Control as "settings".
  * @throws {Error} Config must be correctly filled.
+ * @throws {ConfigValidationError} In strict mode, when the config has validation errors.
  */
-export function convertConfigToBinary(config: Config): ArrayBuffer;
+export function convertConfigToBinary(
+  config: Config,
+  options?: {strict?: boolean}
+): ArrayBuffer;
 
 /**
  * Converts a binary array into a Config object.
@@ -15,6 +69,7 @@ export function convertConfigToBinary(config: Config): ArrayBuffer;
  *
  * @returns {Config} Config object.
  * @throws {Error} Valid binary array must be provided.
+ * @throws {ConfigChecksumError} Checksum doesn't match, use repairConfigChecksum to load it anyway.
  */
 export function convertBinaryToConfig(binaryArray: ArrayBuffer): Config;
 
@@ -0,0 +1,37 @@
+/**
+ * Sparse partial config. Properties, nested properties and array items that are missing keep their default.
+ */
+export type PartialConfig = {
+  [K in keyof Config]?: Config[K] extends Uint8Array | undefined
+    ? Config[K]
+    : Config[K] extends Array<infer T>
+      ? Array<PartialModel<T> | undefined>
+      : Config[K] extends object ? PartialModel<Config[K]> : Config[K];
+};
+
+type PartialModel<T> = {
+  [K in keyof T]?: T[K] extends Array<infer U> ? Array<PartialModel<U> | undefined> : T[K];
+};
+
+/**
+ * Creates a complete config from factory settings or, without them, from neutral values.
+ *
+ * The firmware's factory defaults aren't known to this repository, so they are taken from a known-good
+ * "settings" binary, e.g. one read from a freshly reset device. Without one the config is neutral: numbers
+ * are 0, flags are off, texts are empty and colors are white on black. It's valid for the converter but
+ * has to be filled in before it's useful on a device.
+ *
+ * Options are a sparse partial config: every property, nested property and array item that is given
+ * replaces the default, so e.g. {layout: 1, gaugeConfigs: [, {upperLimit: 300}]} only changes the layout
+ * and the second gauge's upper limit. Model objects can be passed as well.
+ *
+ * @param {Object} [options] Partial config. Layout 0 (gauges), 1 (virtual cockpit) or 2 (back to the future)
+ *     defaults to the one of the factory settings, gauges without them.
+ * @param {ArrayBuffer} [factorySettings] "settings" binary with the factory defaults.
+ *
+ * @returns {Config} Config object built with the config-model.js constructors.
+ * @throws {Error} Layout must be known, factory settings valid and options must have the config structure.
+ */
+export function createDefaultConfig(options?: PartialConfig, factorySettings?: ArrayBuffer): Config;
+
+import {Config} from './config-model.js';
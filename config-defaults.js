@@ -0,0 +1,130 @@
+/**
+ * @file Complete default configs from factory settings, optionally filled in from sparse partial configs.
+ */
+
+"use strict";
+
+import {convertBinaryToConfig} from "./config-converter.js";
+import {configFromJSON, configToJSON, plainObjectToConfig} from "./config-json.js";
+
+const COLORS = {background: '#000000', font: '#ffffff'};
+
+/**
+ * Builds a neutral config as plain object: numbers are 0, flags are off, texts are empty and colors are white
+ * on black.
+ *
+ * @param {number} layout
+ *
+ * @returns {Object} Object with the Config structure.
+ */
+function buildNeutralDefaults(layout) {
+  return {
+    language: 0,
+    autostart: 0,
+    bluetooth: 0,
+    car: 0,
+    layout,
+    view1: 0,
+    backgroundColor: COLORS.background,
+    fontColor: COLORS.font,
+    modsConfig: {
+      mfswRoller: false, driveSelect: false, egtToCan: false, halfResolution: false, ignorePdc: false,
+      scrollTables: false, statusbarGauge: false, statusbarTable: false, virtualCockpit: false, starButton: false,
+      texture: false, hideDrive: false, hideMmi: false, alarm: false,
+    },
+    digitsConfig: {
+      width: 0, height: 0, dotWidth: 0, spacing: 0, normalColor: COLORS.font, warningColor: COLORS.font,
+    },
+    gaugeConfigs: [0, 1, 2].map(() => ({
+      needleWidth: 0, needleHeight: 0, needleCenterX: 0, needleCenterY: 0, needlePosX: 0, needlePosY: 0,
+      indicatorPosX: 0, indicatorPosY: 0, startAngle: 0, scaleRange: 0, lowerLimit: 0, upperLimit: 0,
+    })),
+    numericalGaugeConfigs: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+      .map(() => ({positionX: 0, positionY: 0, centered: false})),
+    tableConfigs: [0, 1, 2, 3, 4].map(() => ({
+      controlUnitIndex: 0,
+      rows: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map(() => ({
+        measurement: 0, label: '', unit: '', decimals: 0, factor: 0, pressure: 0, lowerWarning: 0,
+        upperWarning: 0,
+      })),
+    })),
+    unknownBytes: undefined,
+  };
+}
+
+/**
+ * Fills the missing parts of a partial value in from its defaults.
+ *
+ * Objects are merged property by property and arrays item by item, so holes and undefined items keep their
+ * default. Any other value replaces the default, as do unknown bytes, which are a single value both as
+ * Uint8Array and as runs of hex bytes.
+ *
+ * @param {*} defaults
+ * @param {*} partial
+ * @param {string} path JSON path used in error messages.
+ *
+ * @returns {*}
+ * @throws {Error} Partial properties and items must exist in the defaults.
+ */
+function fillIn(defaults, partial, path) {
+  if (partial === undefined) {
+    return defaults;
+  }
+  if (partial instanceof Uint8Array || path === 'unknownBytes') {
+    return partial;
+  }
+  if (Array.isArray(defaults)) {
+    if (!Array.isArray(partial)) {
+      throw new Error(`Expected an array at ${path}.`);
+    }
+    if (partial.length > defaults.length) {
+      throw new Error(`Expected at most ${defaults.length} items at ${path}, got ${partial.length}.`);
+    }
+    return defaults.map((item, index) => fillIn(item, partial[index], `${path}[${index}]`));
+  }
+  if (defaults && typeof defaults === 'object') {
+    if (!partial || typeof partial !== 'object' || Array.isArray(partial)) {
+      throw new Error(`Expected an object at ${path}.`);
+    }
+    const filled = {...defaults};
+    for (const [name, value] of Object.entries(partial)) {
+      if (!(name in defaults)) {
+        throw new Error(`Unknown config property ${path ? `${path}.` : ''}${name}.`);
+      }
+      filled[name] = fillIn(defaults[name], value, path ? `${path}.${name}` : name);
+    }
+    return filled;
+  }
+  return partial;
+}
+
+/**
+ * Creates a complete config from factory settings or, without them, from neutral values.
+ *
+ * The firmware's factory defaults aren't known to this repository, so they are taken from a known-good
+ * "settings" binary, e.g. one read from a freshly reset device. Without one the config is neutral: numbers
+ * are 0, flags are off, texts are empty and colors are white on black. It's valid for the converter but
+ * has to be filled in before it's useful on a device.
+ *
+ * Options are a sparse partial config: every property, nested property and array item that is given
+ * replaces the default, so e.g. {layout: 1, gaugeConfigs: [, {upperLimit: 300}]} only changes the layout
+ * and the second gauge's upper limit. Model objects can be passed as well.
+ *
+ * @param {Object} [options] Partial config. Layout 0 (gauges), 1 (virtual cockpit) or 2 (back to the future)
+ *     defaults to the one of the factory settings, gauges without them.
+ * @param {ArrayBuffer} [factorySettings] "settings" binary with the factory defaults.
+ *
+ * @returns {Config} Config object built with the config-model.js constructors.
+ * @throws {Error} Layout must be known, factory settings valid and options must have the config structure.
+ */
+export function createDefaultConfig(options = {}, factorySettings = undefined) {
+  const layout = options.layout === undefined ? 0 : options.layout;
+  if (![0, 1, 2].includes(layout)) {
+    throw new Error(`Unknown layout ${layout}. Use 0 (gauges), 1 (virtual cockpit) or 2 (back to the future).`);
+  }
+  if (factorySettings === undefined) {
+    return plainObjectToConfig(fillIn(buildNeutralDefaults(layout), options, ''));
+  }
+  const defaults = JSON.parse(configToJSON(convertBinaryToConfig(factorySettings)));
+  return configFromJSON(fillIn(defaults, options, ''));
+}
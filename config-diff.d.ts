@@ -0,0 +1,44 @@
+export class ConfigDifference {
+  /**
+   * Single difference between two settings binaries.
+   *
+   * @param {string|null} path Field path or null for bytes the converter doesn't know about.
+   * @param {number} offset First byte of the field or unknown range.
+   * @param {number} size Number of bytes of the field or unknown range.
+   * @param {*} oldValue Decoded old value, raw byte array for unknown bytes.
+   * @param {*} newValue Decoded new value, raw byte array for unknown bytes.
+   * @constructor
+   */
+  constructor(path: string | null, offset: number, size: number, oldValue: any, newValue: any);
+
+  path: string | null;
+  offset: number;
+  size: number;
+  oldValue: any;
+  newValue: any;
+  known: boolean;
+}
+
+/**
+ * Compares two settings binaries field by field.
+ *
+ * Bit fields are reported separately, even if they share a byte. Differing bytes that are not part of any
+ * field are merged into continuous unknown ranges.
+ *
+ * @param {ArrayBuffer} oldBinary
+ * @param {ArrayBuffer} newBinary
+ *
+ * @returns {Array<ConfigDifference>} Differences sorted by offset.
+ * @throws {Error} Both binaries must be 16 KB settings files.
+ */
+export function diffConfigBinaries(oldBinary: ArrayBuffer, newBinary: ArrayBuffer): ConfigDifference[];
+
+/**
+ * Creates a human readable report of differences, one line per difference, e.g.
+ * "tableConfigs[2].rows[4].upperWarning (bytes 2589-2592): 100 -> 120".
+ *
+ * @param {Array<ConfigDifference>} differences Result of diffConfigBinaries.
+ *
+ * @returns {string} Report text, "No differences." if the list is empty.
+ */
+export function formatConfigDiff(differences: ConfigDifference[]): string;
@@ -0,0 +1,132 @@
+/**
+ * @file Field-aware comparison of two binary settings files.
+ */
+
+"use strict";
+
+import {CONFIG_LAYOUT, CONFIG_SIZE, readLayoutField} from "./config-layout.js";
+
+/**
+ * Single difference between two settings binaries.
+ *
+ * @param {string|null} path Field path or null for bytes the converter doesn't know about.
+ * @param {number} offset First byte of the field or unknown range.
+ * @param {number} size Number of bytes of the field or unknown range.
+ * @param {*} oldValue Decoded old value, raw byte array for unknown bytes.
+ * @param {*} newValue Decoded new value, raw byte array for unknown bytes.
+ * @constructor
+ */
+export function ConfigDifference(path, offset, size, oldValue, newValue) {
+  this.path = path;
+  this.offset = offset;
+  this.size = size;
+  this.oldValue = oldValue;
+  this.newValue = newValue;
+  this.known = path !== null;
+}
+
+/**
+ * Compares two settings binaries field by field.
+ *
+ * Bit fields are reported separately, even if they share a byte. Differing bytes that are not part of any
+ * field are merged into continuous unknown ranges.
+ *
+ * @param {ArrayBuffer} oldBinary
+ * @param {ArrayBuffer} newBinary
+ *
+ * @returns {Array<ConfigDifference>} Differences sorted by offset.
+ * @throws {Error} Both binaries must be 16 KB settings files.
+ */
+export function diffConfigBinaries(oldBinary, newBinary) {
+  for (const binary of [oldBinary, newBinary]) {
+    if (!binary || !(binary instanceof ArrayBuffer) || binary.byteLength !== CONFIG_SIZE) {
+      throw new Error('Invalid binary data provided.');
+    }
+  }
+
+  const oldBytes = new Uint8Array(oldBinary);
+  const newBytes = new Uint8Array(newBinary);
+  const oldView = new DataView(oldBinary);
+  const newView = new DataView(newBinary);
+  const differences = [];
+  const knownBytes = new Uint8Array(CONFIG_SIZE);
+
+  for (const layoutField of CONFIG_LAYOUT) {
+    knownBytes.fill(1, layoutField.offset, layoutField.offset + layoutField.size);
+
+    let changed = false;
+    for (let i = layoutField.offset; i < layoutField.offset + layoutField.size; i++) {
+      changed = changed || oldBytes[i] !== newBytes[i];
+    }
+    if (layoutField.type === 'bit') {
+      changed = readLayoutField(oldView, layoutField) !== readLayoutField(newView, layoutField);
+    }
+    if (changed) {
+      differences.push(new ConfigDifference(layoutField.path, layoutField.offset, layoutField.size,
+        readLayoutField(oldView, layoutField), readLayoutField(newView, layoutField)));
+    }
+  }
+
+  // Bits of the mods bytes that aren't assigned to any mod.
+  for (const offset of [18, 19]) {
+    const usedBits = CONFIG_LAYOUT
+      .filter((layoutField) => layoutField.offset === offset && layoutField.type === 'bit')
+      .reduce((mask, layoutField) => mask | (1 << layoutField.bit), 0);
+    if ((oldBytes[offset] & ~usedBits) !== (newBytes[offset] & ~usedBits)) {
+      differences.push(new ConfigDifference(null, offset, 1, [oldBytes[offset]], [newBytes[offset]]));
+    }
+  }
+
+  for (let i = 0; i < CONFIG_SIZE; i++) {
+    if (knownBytes[i] || oldBytes[i] === newBytes[i]) {
+      continue;
+    }
+    let end = i + 1;
+    while (end < CONFIG_SIZE && !knownBytes[end] && oldBytes[end] !== newBytes[end]) {
+      end++;
+    }
+    differences.push(new ConfigDifference(null, i, end - i,
+      Array.from(oldBytes.subarray(i, end)), Array.from(newBytes.subarray(i, end))));
+    i = end - 1;
+  }
+
+  return differences.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Formats a value of a difference for the report.
+ *
+ * @param {ConfigDifference} difference
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+function formatValue(difference, value) {
+  if (!difference.known) {
+    return value.map((byte) => byte.toString(16).padStart(2, '0')).join(' ');
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Creates a human readable report of differences, one line per difference, e.g.
+ * "tableConfigs[2].rows[4].upperWarning (bytes 2589-2592): 100 -> 120".
+ *
+ * @param {Array<ConfigDifference>} differences Result of diffConfigBinaries.
+ *
+ * @returns {string} Report text, "No differences." if the list is empty.
+ */
+export function formatConfigDiff(differences) {
+  if (differences.length === 0) {
+    return 'No differences.';
+  }
+  return differences.map((difference) => {
+    const lastByte = difference.offset + difference.size - 1;
+    const bytes = difference.size === 1
+      ? `byte ${difference.offset}`
+      : `bytes ${difference.offset}-${lastByte}`;
+    const name = difference.known ? difference.path : 'unknown';
+    return `${name} (${bytes}): ${formatValue(difference, difference.oldValue)} -> `
+      + formatValue(difference, difference.newValue);
+  }).join('\n');
+}
@@ -0,0 +1,40 @@
+export const CONFIG_JSON_SCHEMA_VERSION: number;
+
+/**
+ * Builds a Config and its nested model objects from plain objects and arrays.
+ *
+ * @param {Object} value Object with the Config structure, e.g. parsed JSON.
+ *
+ * @returns {Config} Config object built with the config-model.js constructors.
+ * @throws {Error} Value must have the config structure.
+ */
+export function plainObjectToConfig(value: object): Config;
+
+/**
+ * Converts a config into JSON with a stable key order, so files can be diffed.
+ *
+ * @param {Config} config Full configuration.
+ * @param {number|string} [space] Indentation passed to JSON.stringify.
+ *
+ * @returns {string} JSON text with a trailing new line.
+ */
+export function configToJSON(config: Config, space?: number | string): string;
+
+/**
+ * Parses JSON created by configToJSON back into model objects.
+ *
+ * @param {string|Object} json JSON text or an already parsed object.
+ *
+ * @returns {Config} Config object built with the config-model.js constructors.
+ * @throws {Error} JSON must have a supported schema version and the config structure.
+ */
+export function configFromJSON(json: string | object): Config;
+
+/**
+ * Generates a JSON Schema (draft-07) describing files written by configToJSON.
+ *
+ * @returns {Object} JSON Schema object, config.schema.json holds a copy of it.
+ */
+export function getConfigJsonSchema(): object;
+
+import {Config} from './config-model.js';
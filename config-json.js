@@ -0,0 +1,363 @@
+/**
+ * @file Lossless JSON import and export of FIS-Control configuration objects.
+ */
+
+"use strict";
+
+import {
+  Config,
+  DigitsConfig,
+  GaugeConfig,
+  ModsConfig,
+  NumericalGaugeConfig,
+  TableConfig,
+  TableRowConfig
+} from "./config-model.js";
+import {getFisTextPattern} from "./fis-charset.js";
+
+export const CONFIG_JSON_SCHEMA_VERSION = 1;
+
+const INT8 = {minimum: -128, maximum: 127};
+const UINT8 = {minimum: 0, maximum: 255};
+const INT16 = {minimum: -32768, maximum: 32767};
+const UINT16 = {minimum: 0, maximum: 65535};
+// Numbers stored as signed 32 bit integers of tenths and thousandths.
+const INT32_TENTHS = {minimum: -2147483648 / 10, maximum: 2147483647 / 10};
+const INT32_THOUSANDTHS = {minimum: -2147483648 / 1000, maximum: 2147483647 / 1000};
+const COLOR = {type: 'string', pattern: '^#[0-9a-fA-F]{6}$'};
+
+/**
+ * Schema of a text stored in a fixed size field of the FIS character set. JSON Schema counts characters, not
+ * bytes, so the byte limit is expressed by the pattern instead of maxLength.
+ *
+ * @param {number} maxBytes Field size in bytes.
+ * @param {string} description
+ *
+ * @returns {Object}
+ */
+function fisText(maxBytes, description) {
+  return {type: 'string', pattern: getFisTextPattern(maxBytes), description};
+}
+
+/**
+ * Fields of every model object in constructor argument order, which is also the JSON key order.
+ *
+ * Field types are JSON Schema fragments. A "model" entry refers to another model object, "items" and
+ * "length" describe fixed size arrays of model objects. "bytes" marks an optional Uint8Array stored as
+ * runs of non-zero bytes, keyed by offset.
+ *
+ * @type {Object.<string, {constructor: Function, fields: Array<Object>}>}
+ */
+const MODELS = {
+  GaugeConfig: {
+    constructor: GaugeConfig,
+    fields: [
+      {name: 'needleWidth', schema: {type: 'integer', ...UINT8}},
+      {name: 'needleHeight', schema: {type: 'integer', ...UINT8}},
+      {name: 'needleCenterX', schema: {type: 'integer', ...INT16}},
+      {name: 'needleCenterY', schema: {type: 'integer', ...INT16}},
+      {name: 'needlePosX', schema: {type: 'integer', ...INT16}},
+      {name: 'needlePosY', schema: {type: 'integer', ...INT16}},
+      {name: 'indicatorPosX', schema: {type: 'integer', ...INT16}},
+      {name: 'indicatorPosY', schema: {type: 'integer', ...INT16}},
+      {name: 'startAngle', schema: {type: 'number', ...INT32_TENTHS}},
+      {name: 'scaleRange', schema: {type: 'number', ...INT32_TENTHS}},
+      {name: 'lowerLimit', schema: {type: 'number', ...INT32_THOUSANDTHS}},
+      {name: 'upperLimit', schema: {type: 'number', ...INT32_THOUSANDTHS}},
+    ],
+  },
+  NumericalGaugeConfig: {
+    constructor: NumericalGaugeConfig,
+    fields: [
+      {name: 'positionX', schema: {type: 'integer', minimum: 0, maximum: 32767}},
+      {name: 'positionY', schema: {type: 'integer', ...INT16}},
+      {name: 'centered', schema: {type: 'boolean', description: 'Should the gauge be centered or right-aligned.'}},
+    ],
+  },
+  TableConfig: {
+    constructor: TableConfig,
+    fields: [
+      {name: 'controlUnitIndex', schema: {type: 'integer', ...UINT16,
+        description: 'Index of the selected control unit.'}},
+      {name: 'rows', items: 'TableRowConfig', length: 10},
+    ],
+  },
+  TableRowConfig: {
+    constructor: TableRowConfig,
+    fields: [
+      {name: 'measurement', schema: {type: 'integer', ...UINT16,
+        description: 'Measurement value from the control unit tables.'}},
+      {name: 'label', schema: fisText(30, 'Max 30 bytes in the FIS character set.')},
+      {name: 'unit', schema: fisText(20,
+        'Max 20 bytes in the FIS character set. Use λ or *lambda* to get the lambda symbol, which is one byte.')},
+      {name: 'decimals', schema: {type: 'integer', ...INT8,
+        description: 'How many decimal places to show on digital gauges.'}},
+      {name: 'factor', schema: {type: 'integer', ...INT8, description: 'Conversion factor index.'}},
+      {name: 'pressure', schema: {type: 'integer', ...INT8, description: 'Pressure calculation value index.'}},
+      {name: 'lowerWarning', schema: {type: 'number', ...INT32_THOUSANDTHS,
+        description: 'Value low warning threshold.'}},
+      {name: 'upperWarning', schema: {type: 'number', ...INT32_THOUSANDTHS,
+        description: 'Value high warning threshold.'}},
+    ],
+  },
+  ModsConfig: {
+    constructor: ModsConfig,
+    fields: ['mfswRoller', 'driveSelect', 'egtToCan', 'halfResolution', 'ignorePdc', 'scrollTables',
+      'statusbarGauge', 'statusbarTable', 'virtualCockpit', 'starButton', 'texture', 'hideDrive', 'hideMmi',
+      'alarm'].map((name) => ({name, schema: {type: 'boolean'}})),
+  },
+  DigitsConfig: {
+    constructor: DigitsConfig,
+    fields: [
+      {name: 'width', schema: {type: 'integer', ...UINT8}},
+      {name: 'height', schema: {type: 'integer', ...UINT8}},
+      {name: 'dotWidth', schema: {type: 'integer', ...UINT8}},
+      {name: 'spacing', schema: {type: 'integer', ...UINT8, description: 'Extra spacing between digits.'}},
+      {name: 'normalColor', schema: COLOR},
+      {name: 'warningColor', schema: COLOR},
+    ],
+  },
+  Config: {
+    constructor: Config,
+    fields: [
+      {name: 'language', schema: {type: 'integer', ...UINT8, description: '0 - English, 1 - German.'}},
+      {name: 'autostart', schema: {type: 'integer', ...UINT8,
+        description: '0 - off, 1 - on, 2 - on with needle sweep, 3-7 - sweep delay.'}},
+      {name: 'bluetooth', schema: {type: 'integer', ...UINT8,
+        description: '0 - off after a while, 1 - always on'}},
+      {name: 'car', schema: {type: 'integer', ...UINT8, description: 'Index of the selected car.'}},
+      {name: 'layout', schema: {type: 'integer', ...UINT8,
+        description: '0 - gauges, 1 - virtual cockpit, 2 - back to the future.'}},
+      {name: 'view1', schema: {type: 'integer', ...UINT8, description: 'Index of the first table view to show.'}},
+      {name: 'backgroundColor', schema: COLOR},
+      {name: 'fontColor', schema: COLOR},
+      {name: 'modsConfig', model: 'ModsConfig'},
+      {name: 'digitsConfig', model: 'DigitsConfig'},
+      {name: 'gaugeConfigs', items: 'GaugeConfig', length: 3},
+      {name: 'numericalGaugeConfigs', items: 'NumericalGaugeConfig', length: 10},
+      {name: 'tableConfigs', items: 'TableConfig', length: 5},
+      {name: 'unknownBytes', bytes: 16384, schema: {type: 'object',
+        description: 'Settings bytes the converter does not know about, as hex strings keyed by offset.',
+        propertyNames: {pattern: '^[0-9]+$'},
+        additionalProperties: {type: 'string', pattern: '^([0-9a-f]{2})+$'}}},
+    ],
+  },
+};
+
+/**
+ * Converts bytes into runs of non-zero bytes, so mostly empty buffers stay short and diffable.
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @returns {Object.<string, string>|undefined} Hex strings keyed by offset, undefined if all bytes are zero.
+ */
+function bytesToRuns(bytes) {
+  const runs = {};
+  let empty = true;
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === 0) {
+      continue;
+    }
+    let end = i;
+    while (end < bytes.length && bytes[end] !== 0) {
+      end++;
+    }
+    runs[i] = Array.from(bytes.subarray(i, end)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+    empty = false;
+    i = end;
+  }
+  return empty ? undefined : runs;
+}
+
+/**
+ * Converts runs of bytes created by bytesToRuns back into a buffer.
+ *
+ * @param {Object.<string, string>|Uint8Array|undefined} runs
+ * @param {number} size Buffer size.
+ * @param {string} path JSON path used in error messages.
+ *
+ * @returns {Uint8Array|undefined}
+ * @throws {Error} Runs must be hex strings that fit into the buffer.
+ */
+function runsToBytes(runs, size, path) {
+  if (runs === undefined || runs instanceof Uint8Array) {
+    return runs;
+  }
+  const bytes = new Uint8Array(size);
+  for (const [offset, hex] of Object.entries(runs)) {
+    if (!/^[0-9]+$/.test(offset) || !/^([0-9a-fA-F]{2})+$/.test(hex) || Number(offset) + hex.length / 2 > size) {
+      throw new Error(`Invalid bytes at ${path}["${offset}"].`);
+    }
+    for (let i = 0; i < hex.length / 2; i++) {
+      bytes[Number(offset) + i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Copies a model object into a plain object with keys in model order.
+ *
+ * @param {string} modelName
+ * @param {Object} value
+ *
+ * @returns {Object}
+ */
+function toPlainObject(modelName, value) {
+  const plain = {};
+  for (const field of MODELS[modelName].fields) {
+    const fieldValue = value[field.name];
+    if (field.model) {
+      plain[field.name] = toPlainObject(field.model, fieldValue);
+    } else if (field.items) {
+      plain[field.name] = fieldValue.map((item) => toPlainObject(field.items, item));
+    } else if (field.bytes) {
+      const runs = fieldValue ? bytesToRuns(fieldValue) : undefined;
+      if (runs) {
+        plain[field.name] = runs;
+      }
+    } else {
+      plain[field.name] = fieldValue;
+    }
+  }
+  return plain;
+}
+
+/**
+ * Rebuilds a model object from its plain JSON form.
+ *
+ * @param {string} modelName
+ * @param {*} value
+ * @param {string} path JSON path used in error messages.
+ *
+ * @returns {Object} Instance of the model constructor.
+ * @throws {Error} Value must have the model structure.
+ */
+function fromPlainObject(modelName, value, path) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Expected an object at ${path || 'root'}.`);
+  }
+
+  const args = MODELS[modelName].fields.map((field) => {
+    const fieldPath = path ? `${path}.${field.name}` : field.name;
+    const fieldValue = value[field.name];
+    if (field.model) {
+      return fromPlainObject(field.model, fieldValue, fieldPath);
+    }
+    if (field.items) {
+      if (!Array.isArray(fieldValue)) {
+        throw new Error(`Expected an array at ${fieldPath}.`);
+      }
+      return fieldValue.map((item, index) => fromPlainObject(field.items, item, `${fieldPath}[${index}]`));
+    }
+    if (field.bytes) {
+      return runsToBytes(fieldValue, field.bytes, fieldPath);
+    }
+    return fieldValue;
+  });
+  return new MODELS[modelName].constructor(...args);
+}
+
+/**
+ * Builds a Config and its nested model objects from plain objects and arrays.
+ *
+ * @param {Object} value Object with the Config structure, e.g. parsed JSON.
+ *
+ * @returns {Config} Config object built with the config-model.js constructors.
+ * @throws {Error} Value must have the config structure.
+ */
+export function plainObjectToConfig(value) {
+  return fromPlainObject('Config', value, '');
+}
+
+/**
+ * Converts a config into JSON with a stable key order, so files can be diffed.
+ *
+ * @param {Config} config Full configuration.
+ * @param {number|string} [space] Indentation passed to JSON.stringify.
+ *
+ * @returns {string} JSON text with a trailing new line.
+ */
+export function configToJSON(config, space = 2) {
+  if (!config) {
+    throw new Error('Config is required.');
+  }
+  const json = {schemaVersion: CONFIG_JSON_SCHEMA_VERSION, ...toPlainObject('Config', config)};
+  return JSON.stringify(json, null, space) + '\n';
+}
+
+/**
+ * Parses JSON created by configToJSON back into model objects.
+ *
+ * @param {string|Object} json JSON text or an already parsed object.
+ *
+ * @returns {Config} Config object built with the config-model.js constructors.
+ * @throws {Error} JSON must have a supported schema version and the config structure.
+ */
+export function configFromJSON(json) {
+  const value = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!value || typeof value !== 'object') {
+    throw new Error('Config JSON must be an object.');
+  }
+  const schemaVersion = value.schemaVersion === undefined ? CONFIG_JSON_SCHEMA_VERSION : value.schemaVersion;
+  if (schemaVersion !== CONFIG_JSON_SCHEMA_VERSION) {
+    throw new Error(`Unsupported config JSON schema version. Wanted ${CONFIG_JSON_SCHEMA_VERSION}, `
+      + `got ${value.schemaVersion}`);
+  }
+  return plainObjectToConfig(value);
+}
+
+/**
+ * Builds the JSON Schema of a model object.
+ *
+ * @param {string} modelName
+ *
+ * @returns {Object}
+ */
+function modelSchema(modelName) {
+  const properties = {};
+  for (const field of MODELS[modelName].fields) {
+    if (field.model) {
+      properties[field.name] = {$ref: `#/definitions/${field.model}`};
+    } else if (field.items) {
+      properties[field.name] = {
+        type: 'array',
+        items: {$ref: `#/definitions/${field.items}`},
+        minItems: field.length,
+        maxItems: field.length,
+      };
+    } else {
+      properties[field.name] = field.schema;
+    }
+  }
+  return {
+    type: 'object',
+    properties,
+    required: MODELS[modelName].fields.filter((field) => !field.bytes).map((field) => field.name),
+  };
+}
+
+/**
+ * Generates a JSON Schema (draft-07) describing files written by configToJSON.
+ *
+ * @returns {Object} JSON Schema object, config.schema.json holds a copy of it.
+ */
+export function getConfigJsonSchema() {
+  const definitions = {};
+  for (const modelName of Object.keys(MODELS).filter((name) => name !== 'Config')) {
+    definitions[modelName] = modelSchema(modelName);
+  }
+
+  const schema = modelSchema('Config');
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'FIS-Control configuration',
+    type: 'object',
+    properties: {
+      schemaVersion: {const: CONFIG_JSON_SCHEMA_VERSION},
+      ...schema.properties,
+    },
+    required: schema.required,
+    definitions,
+  };
+}
@@ -0,0 +1,99 @@
+export const CONFIG_SIZE: number;
+
+/**
+ * Description of a single field in the settings binary.
+ */
+export type LayoutField = {
+  /**
+   * JSON path in the Config, e.g. "tableConfigs[2].rows[4].upperWarning". Fields that are not part of the
+   * Config (version and checksum) start with "$".
+   */
+  readonly path: string;
+  /** First byte. */
+  readonly offset: number;
+  /** Number of bytes. */
+  readonly size: number;
+  readonly type: 'uint8' | 'int8' | 'uint16' | 'int16' | 'int32' | 'bit' | 'color' | 'string' | 'alignedPosition';
+  /** Byte order of multi-byte values. */
+  readonly littleEndian?: boolean;
+  /** Stored value is the decoded value multiplied by scale. */
+  readonly scale?: number;
+  /** Bit index for "bit" fields. */
+  readonly bit?: number;
+  /** Alpha byte written with "color" fields. */
+  readonly alpha?: number;
+};
+
+/**
+ * All fields of the version 5 settings layout, sorted by offset.
+ */
+export const CONFIG_LAYOUT: ReadonlyArray<LayoutField>;
+
+/**
+ * Finds fields that cover a byte. Bit fields share their byte, so there can be more than one.
+ *
+ * @param {number} offset
+ *
+ * @returns {Array<LayoutField>} Fields covering the byte, empty for unknown bytes.
+ */
+export function findLayoutFields(offset: number): LayoutField[];
+
+/**
+ * Reads the decoded value of a field.
+ *
+ * @param {DataView} view Settings buffer.
+ * @param {LayoutField} layoutField
+ *
+ * @returns {number|boolean|string|{positionX: number, centered: boolean}} Decoded value.
+ */
+export function readLayoutField(
+  view: DataView,
+  layoutField: LayoutField
+): number | boolean | string | {positionX: number; centered: boolean};
+
+/**
+ * Writes a value into a field.
+ *
+ * Values are converted the same way DataView does, so out of range numbers wrap around. Texts are cut to
+ * the field size and unmappable characters are stored as "?", use validateConfig to find both.
+ *
+ * @param {DataView} view Settings buffer, bit fields are OR-ed into it.
+ * @param {LayoutField} layoutField
+ * @param {number|boolean|string|{positionX: number, centered: boolean}} value
+ */
+export function writeLayoutField(
+  view: DataView,
+  layoutField: LayoutField,
+  value: number | boolean | string | {positionX: number; centered: boolean}
+): void;
+
+/**
+ * Copies the bytes and bits that are not covered by any field.
+ *
+ * @param {DataView} view Settings buffer.
+ *
+ * @returns {Uint8Array} Copy of the settings with all fields zeroed, including version and checksum.
+ */
+export function readUnknownBytes(view: DataView): Uint8Array;
+
+/**
+ * Writes all config fields into a settings buffer.
+ *
+ * Config.unknownBytes are copied first, if present. Version and checksum are not part of the Config and are
+ * left to the caller.
+ *
+ * @param {DataView} view Zero-filled settings buffer.
+ * @param {Config} config Full configuration.
+ */
+export function writeConfigLayout(view: DataView, config: Config): void;
+
+/**
+ * Reads all config fields from a settings buffer into plain objects and arrays.
+ *
+ * @param {DataView} view Settings buffer.
+ *
+ * @returns {Object} Plain object with the Config structure, including unknownBytes.
+ */
+export function readConfigLayout(view: DataView): object;
+
+import {Config} from './config-model.js';
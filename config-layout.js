@@ -0,0 +1,339 @@
+/**
+ * @file Declarative description of the binary settings layout, version 5.
+ */
+
+"use strict";
+
+import {decodeFisText, encodeFisText} from "./fis-charset.js";
+
+export const CONFIG_SIZE = 16384; // In bytes.
+
+/**
+ * Description of a single field in the settings binary.
+ *
+ * Types:
+ * - "uint8", "int8", "uint16", "int16", "int32" - integers, divided by scale when decoded.
+ * - "bit" - boolean stored in bit "bit" of a single byte.
+ * - "color" - 24 bit color stored in a uint32 with "alpha" in the highest byte.
+ * - "string" - zero padded text of "size" bytes in the FIS character set.
+ * - "alignedPosition" - int16 holding NumericalGaugeConfig.positionX, negative when "centered" is set.
+ *
+ * @typedef {Object} LayoutField
+ * @property {string} path JSON path in the Config, e.g. "tableConfigs[2].rows[4].upperWarning". Fields that
+ *     are not part of the Config (version and checksum) start with "$".
+ * @property {number} offset First byte.
+ * @property {number} size Number of bytes.
+ * @property {string} type
+ * @property {boolean} [littleEndian] Byte order of multi-byte values.
+ * @property {number} [scale] Stored value is the decoded value multiplied by scale.
+ * @property {number} [bit] Bit index for "bit" fields.
+ * @property {number} [alpha] Alpha byte written with "color" fields.
+ */
+
+const SIZES = {uint8: 1, int8: 1, uint16: 2, int16: 2, int32: 4, bit: 1, color: 4, alignedPosition: 2};
+
+/**
+ * Creates a field description.
+ *
+ * @param {string} path
+ * @param {number} offset
+ * @param {string} type
+ * @param {Object} [extra] Additional properties like scale or size.
+ *
+ * @returns {LayoutField}
+ */
+function field(path, offset, type, extra = {}) {
+  const size = extra.size || SIZES[type];
+  const layoutField = {path, offset, size, type, ...extra};
+  if (size > 1 && type !== 'string') {
+    layoutField.littleEndian = true;
+  }
+  return Object.freeze(layoutField);
+}
+
+/**
+ * Builds the list of all fields of the version 5 layout.
+ *
+ * @returns {Array<LayoutField>} Fields sorted by offset.
+ */
+function buildLayout() {
+  const fields = [
+    field('$version', 0, 'uint8'),
+    // General settings.
+    field('language', 1, 'uint8'),
+    field('autostart', 2, 'uint8'),
+    field('bluetooth', 3, 'uint8'),
+    field('car', 4, 'uint8'),
+    field('layout', 7, 'uint8'),
+    field('view1', 9, 'uint8'),
+    // Table colors.
+    field('backgroundColor', 10, 'color', {alpha: 0xFF}),
+    field('fontColor', 14, 'color', {alpha: 0x00}),
+  ];
+
+  // Mods.
+  [['mfswRoller', 0], ['driveSelect', 2], ['egtToCan', 3], ['halfResolution', 4], ['ignorePdc', 6],
+    ['scrollTables', 7]].forEach(([name, bit]) => fields.push(field(`modsConfig.${name}`, 18, 'bit', {bit})));
+  [['statusbarGauge', 0], ['statusbarTable', 1], ['virtualCockpit', 2], ['starButton', 3], ['texture', 4],
+    ['hideDrive', 5], ['hideMmi', 6], ['alarm', 7]]
+    .forEach(([name, bit]) => fields.push(field(`modsConfig.${name}`, 19, 'bit', {bit})));
+
+  for (let tableIndex = 0; tableIndex < 5; tableIndex++) {
+    fields.push(field(`tableConfigs[${tableIndex}].controlUnitIndex`, (tableIndex * 2) + 26, 'uint16'));
+  }
+
+  // Digital gauges config.
+  fields.push(
+    field('digitsConfig.height', 36, 'uint8'),
+    field('digitsConfig.width', 37, 'uint8'),
+    field('digitsConfig.dotWidth', 38, 'uint8'),
+    field('digitsConfig.spacing', 39, 'uint8'),
+    field('digitsConfig.normalColor', 40, 'color', {alpha: 0xFF}),
+    field('digitsConfig.warningColor', 44, 'color', {alpha: 0x00}),
+  );
+
+  for (let tableIndex = 0; tableIndex < 5; tableIndex++) {
+    for (let rowIndex = 0; rowIndex < 10; rowIndex++) {
+      const address = (100 * 10 * tableIndex) + (100 * rowIndex) + 100;
+      const row = `tableConfigs[${tableIndex}].rows[${rowIndex}]`;
+
+      fields.push(
+        field(`${row}.measurement`, address, 'uint16'),
+        field(`${row}.label`, address + 2, 'string', {size: 30}),
+        field(`${row}.unit`, address + 32, 'string', {size: 20}),
+      );
+
+      // The first table also holds gauge settings in the first three rows.
+      if ((tableIndex === 0) && (rowIndex < 3)) {
+        const gauge = `gaugeConfigs[${rowIndex}]`;
+        fields.push(
+          field(`${gauge}.needleWidth`, address + 52, 'uint8'),
+          field(`${gauge}.needleHeight`, address + 53, 'uint8'),
+          field(`${gauge}.needleCenterX`, address + 54, 'int16'),
+          field(`${gauge}.needleCenterY`, address + 56, 'int16'),
+          field(`${gauge}.needlePosX`, address + 58, 'int16'),
+          field(`${gauge}.needlePosY`, address + 60, 'int16'),
+          field(`${gauge}.indicatorPosX`, address + 62, 'int16'),
+          field(`${gauge}.indicatorPosY`, address + 64, 'int16'),
+          field(`${gauge}.startAngle`, address + 66, 'int32', {scale: 10}),
+          field(`${gauge}.scaleRange`, address + 70, 'int32', {scale: 10}),
+          field(`${gauge}.lowerLimit`, address + 74, 'int32', {scale: 1000}),
+          field(`${gauge}.upperLimit`, address + 78, 'int32', {scale: 1000}),
+        );
+      }
+
+      fields.push(
+        field(`${row}.decimals`, address + 82, 'int8'),
+        field(`${row}.factor`, address + 83, 'int8'),
+        field(`${row}.pressure`, address + 84, 'int8'),
+        field(`${row}.lowerWarning`, address + 85, 'int32', {scale: 1000}),
+        field(`${row}.upperWarning`, address + 89, 'int32', {scale: 1000}),
+      );
+
+      // The first table also holds numerical gauge settings.
+      if (tableIndex === 0) {
+        const numericalGauge = `numericalGaugeConfigs[${rowIndex}]`;
+        fields.push(
+          field(numericalGauge, address + 93, 'alignedPosition'),
+          field(`${numericalGauge}.positionY`, address + 95, 'int16'),
+        );
+      }
+    }
+  }
+
+  fields.push(field('$checksum', CONFIG_SIZE - 2, 'uint16'));
+  return fields.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * All fields of the version 5 settings layout, sorted by offset.
+ *
+ * @type {ReadonlyArray<LayoutField>}
+ */
+export const CONFIG_LAYOUT = Object.freeze(buildLayout());
+
+/**
+ * Finds fields that cover a byte. Bit fields share their byte, so there can be more than one.
+ *
+ * @param {number} offset
+ *
+ * @returns {Array<LayoutField>} Fields covering the byte, empty for unknown bytes.
+ */
+export function findLayoutFields(offset) {
+  return CONFIG_LAYOUT.filter((layoutField) =>
+    offset >= layoutField.offset && offset < layoutField.offset + layoutField.size);
+}
+
+/**
+ * Reads the decoded value of a field.
+ *
+ * @param {DataView} view Settings buffer.
+ * @param {LayoutField} layoutField
+ *
+ * @returns {number|boolean|string|{positionX: number, centered: boolean}} Decoded value.
+ */
+export function readLayoutField(view, layoutField) {
+  const {offset, littleEndian} = layoutField;
+  const scale = layoutField.scale || 1;
+
+  switch (layoutField.type) {
+    case 'uint8':
+      return view.getUint8(offset) / scale;
+    case 'int8':
+      return view.getInt8(offset) / scale;
+    case 'uint16':
+      return view.getUint16(offset, littleEndian) / scale;
+    case 'int16':
+      return view.getInt16(offset, littleEndian) / scale;
+    case 'int32':
+      return view.getInt32(offset, littleEndian) / scale;
+    case 'bit':
+      return !!(view.getUint8(offset) & (1 << layoutField.bit));
+    case 'color':
+      return '#' + (view.getUint32(offset, littleEndian) & 0x00FFFFFF).toString(16).padStart(6, '0');
+    case 'string':
+      return decodeFisText(new Uint8Array(view.buffer, view.byteOffset + offset, layoutField.size));
+    case 'alignedPosition': {
+      const position = view.getInt16(offset, littleEndian);
+      return {positionX: position < 0 ? position * -1 : position, centered: position < 0};
+    }
+    default:
+      throw new Error(`Unknown layout field type ${layoutField.type}.`);
+  }
+}
+
+/**
+ * Writes a value into a field.
+ *
+ * Values are converted the same way DataView does, so out of range numbers wrap around. Texts are cut to
+ * the field size and unmappable characters are stored as "?", use validateConfig to find both.
+ *
+ * @param {DataView} view Settings buffer, bit fields are OR-ed into it.
+ * @param {LayoutField} layoutField
+ * @param {number|boolean|string|{positionX: number, centered: boolean}} value
+ */
+export function writeLayoutField(view, layoutField, value) {
+  const {offset, littleEndian} = layoutField;
+  const scale = layoutField.scale || 1;
+
+  switch (layoutField.type) {
+    case 'uint8':
+      view.setUint8(offset, value * scale);
+      break;
+    case 'int8':
+      view.setInt8(offset, value * scale);
+      break;
+    case 'uint16':
+      view.setUint16(offset, value * scale, littleEndian);
+      break;
+    case 'int16':
+      view.setInt16(offset, value * scale, littleEndian);
+      break;
+    case 'int32':
+      view.setInt32(offset, value * scale, littleEndian);
+      break;
+    case 'bit':
+      view.setUint8(offset, view.getUint8(offset) | ((value ? 1 : 0) << layoutField.bit));
+      break;
+    case 'color':
+      view.setUint32(offset, (parseInt(value.substr(1, 6), 16) & 0x00FFFFFF) | (layoutField.alpha << 24),
+        littleEndian);
+      break;
+    case 'string': {
+      const {bytes} = encodeFisText(value);
+      for (let i = 0; i < layoutField.size; i++) {
+        view.setUint8(offset + i, i < bytes.length ? bytes[i] : 0x00);
+      }
+      break;
+    }
+    case 'alignedPosition':
+      view.setInt16(offset, value.centered ? value.positionX * -1 : value.positionX, littleEndian);
+      break;
+    default:
+      throw new Error(`Unknown layout field type ${layoutField.type}.`);
+  }
+}
+
+/**
+ * Splits a field path into property names and array indices.
+ *
+ * @param {string} path E.g. "tableConfigs[2].rows[4].label".
+ *
+ * @returns {Array<string|number>} E.g. ["tableConfigs", 2, "rows", 4, "label"].
+ */
+function parsePath(path) {
+  return path.split(/\.|(?=\[)/).map((part) => part.startsWith('[') ? Number(part.slice(1, -1)) : part);
+}
+
+/**
+ * Copies the bytes and bits that are not covered by any field.
+ *
+ * @param {DataView} view Settings buffer.
+ *
+ * @returns {Uint8Array} Copy of the settings with all fields zeroed, including version and checksum.
+ */
+export function readUnknownBytes(view) {
+  const unknownBytes = new Uint8Array(view.buffer, view.byteOffset, CONFIG_SIZE).slice();
+  for (const layoutField of CONFIG_LAYOUT) {
+    if (layoutField.type === 'bit') {
+      unknownBytes[layoutField.offset] &= ~(1 << layoutField.bit);
+    } else {
+      unknownBytes.fill(0, layoutField.offset, layoutField.offset + layoutField.size);
+    }
+  }
+  return unknownBytes;
+}
+
+/**
+ * Writes all config fields into a settings buffer.
+ *
+ * Config.unknownBytes are copied first, if present. Version and checksum are not part of the Config and are
+ * left to the caller.
+ *
+ * @param {DataView} view Zero-filled settings buffer.
+ * @param {Config} config Full configuration.
+ */
+export function writeConfigLayout(view, config) {
+  if (config.unknownBytes) {
+    new Uint8Array(view.buffer, view.byteOffset, CONFIG_SIZE).set(readUnknownBytes(new DataView(
+      config.unknownBytes.buffer, config.unknownBytes.byteOffset, CONFIG_SIZE)));
+  }
+  for (const layoutField of CONFIG_LAYOUT) {
+    if (layoutField.path.startsWith('$')) {
+      continue;
+    }
+    const value = parsePath(layoutField.path).reduce((object, key) => object[key], config);
+    writeLayoutField(view, layoutField, value);
+  }
+}
+
+/**
+ * Reads all config fields from a settings buffer into plain objects and arrays.
+ *
+ * @param {DataView} view Settings buffer.
+ *
+ * @returns {Object} Plain object with the Config structure, including unknownBytes.
+ */
+export function readConfigLayout(view) {
+  const config = {};
+  for (const layoutField of CONFIG_LAYOUT) {
+    if (layoutField.path.startsWith('$')) {
+      continue;
+    }
+    const keys = parsePath(layoutField.path);
+    const lastKey = keys.pop();
+    let object = config;
+    keys.forEach((key, index) => {
+      if (object[key] === undefined) {
+        object[key] = typeof (keys[index + 1] === undefined ? lastKey : keys[index + 1]) === 'number' ? [] : {};
+      }
+      object = object[key];
+    });
+
+    const value = readLayoutField(view, layoutField);
+    // Aligned position describes the whole numerical gauge object, merge it with its other fields.
+    object[lastKey] = layoutField.type === 'alignedPosition' ? {...object[lastKey], ...value} : value;
+  }
+  config.unknownBytes = readUnknownBytes(view);
+  return config;
+}
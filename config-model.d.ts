@@ -81,7 +81,7 @@ export class TableRowConfig {
    *
    * @param {number} measurement Measurement value from the control unit tables.
    * @param {string} label Max 30 characters.
-   * @param {string} unit Max 20 characters. Use *lambda* to get the lambda symbol.
+   * @param {string} unit Max 20 characters. Use λ or *lambda* to get the lambda symbol.
    * @param {number} decimals How many decimal places to show on digital gauges.
    * @param {number} factor Conversion factor index.
    * @param {number} pressure Pressure calculation value index.
@@ -209,6 +209,8 @@ export class Config {
    * @param {Array<GaugeConfig>} gaugeConfigs
    * @param {Array<NumericalGaugeConfig>} numericalGaugeConfigs
    * @param {Array<TableConfig>} tableConfigs
+   * @param {Uint8Array} [unknownBytes] Settings bytes the converter doesn't know about, with all known fields
+   *     zeroed. Written back by the encoder, so settings of newer firmware survive a round trip.
    * @constructor
    */
   constructor(
@@ -224,7 +226,8 @@ export class Config {
     digitsConfig: DigitsConfig,
     gaugeConfigs: Array<GaugeConfig>,
     numericalGaugeConfigs: Array<NumericalGaugeConfig>,
-    tableConfigs: Array<TableConfig>
+    tableConfigs: Array<TableConfig>,
+    unknownBytes?: Uint8Array
   );
 
   language: number;
@@ -240,4 +243,5 @@ export class Config {
   gaugeConfigs: GaugeConfig[];
   numericalGaugeConfigs: NumericalGaugeConfig[];
   tableConfigs: TableConfig[];
+  unknownBytes?: Uint8Array;
 }
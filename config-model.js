@@ -70,7 +70,7 @@ export function TableConfig(controlUnitIndex, rows) {
  *
  * @param {number} measurement Measurement value from the control unit tables.
  * @param {string} label Max 30 characters.
- * @param {string} unit Max 20 characters. Use *lambda* to get the lambda symbol.
+ * @param {string} unit Max 20 characters. Use λ or *lambda* to get the lambda symbol.
  * @param {number} decimals How many decimal places to show on digital gauges.
  * @param {number} factor Conversion factor index.
  * @param {number} pressure Pressure calculation value index.
@@ -163,10 +163,13 @@ export function DigitsConfig(width, height, dotWidth, spacing, normalColor, warn
  * @param {Array<GaugeConfig>} gaugeConfigs
  * @param {Array<NumericalGaugeConfig>} numericalGaugeConfigs
  * @param {Array<TableConfig>} tableConfigs
+ * @param {Uint8Array} [unknownBytes] Settings bytes the converter doesn't know about, with all known fields
+ *     zeroed. Written back by the encoder, so settings of newer firmware survive a round trip.
  * @constructor
  */
 export function Config(language, autostart, bluetooth, car, layout, view1, backgroundColor,
-                       fontColor, modsConfig, digitsConfig, gaugeConfigs, numericalGaugeConfigs, tableConfigs) {
+                       fontColor, modsConfig, digitsConfig, gaugeConfigs, numericalGaugeConfigs, tableConfigs,
+                       unknownBytes) {
   this.language = language;
   this.autostart = autostart;
   this.bluetooth = bluetooth;
@@ -180,5 +183,6 @@ export function Config(language, autostart, bluetooth, car, layout, view1, backg
   this.gaugeConfigs = gaugeConfigs;
   this.numericalGaugeConfigs = numericalGaugeConfigs;
   this.tableConfigs = tableConfigs;
+  this.unknownBytes = unknownBytes;
 }
 
@@ -0,0 +1,67 @@
+/**
+ * Single JSON Patch operation. Paths are JSON Pointers ("/tableConfigs/1/rows/3/label") or config paths
+ * ("tableConfigs[1].rows[3].label").
+ */
+export type PatchOperation =
+  | {op: 'add' | 'replace' | 'test'; path: string; value: unknown}
+  | {op: 'remove'; path: string}
+  | {op: 'copy' | 'move'; path: string; from: string};
+
+/**
+ * Error thrown when a path or patch doesn't fit the config.
+ */
+export class ConfigPatchError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} path Config path of the failing operation.
+   * @param {number} [index] Index of the failing operation in the patch.
+   */
+  constructor(message: string, path: string, index?: number);
+
+  path: string;
+  index: number | undefined;
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) onto a copy of a config.
+ *
+ * Every value is checked against the model's field types and the ranges of validateConfig. Arrays have a
+ * fixed length, so only their items can be replaced, and only optional values like unknownBytes can be
+ * removed. The patch is applied completely or not at all.
+ *
+ * @param {Config} config Config to patch, it isn't modified.
+ * @param {Array<PatchOperation>} patch
+ *
+ * @returns {{config: Config, inverse: Array<PatchOperation>}} Patched copy of the config and the patch that
+ *     turns it back into the original.
+ * @throws {ConfigPatchError} Operations must be valid, fit the model and tests must pass.
+ */
+export function applyConfigPatch(
+  config: Config,
+  patch: PatchOperation[]
+): {config: Config; inverse: PatchOperation[]};
+
+/**
+ * Returns a value of a config by path.
+ *
+ * @param {Config} config
+ * @param {string} path Config path ("tableConfigs[1].rows[3].label") or JSON Pointer.
+ *
+ * @returns {*} Value as stored in the config, model objects for nested parts.
+ * @throws {ConfigPatchError} Path must exist in the model.
+ */
+export function getConfigValue(config: Config, path: string): unknown;
+
+/**
+ * Sets a value of a config by path. Objects and arrays are converted into model objects.
+ *
+ * @param {Config} config Modified in place.
+ * @param {string} path Config path ("tableConfigs[1].rows[3].label") or JSON Pointer.
+ * @param {*} value Value matching the model's field type.
+ *
+ * @returns {Array<PatchOperation>} Patch that undoes the change.
+ * @throws {ConfigPatchError} Path must exist in the model and the value must fit its type.
+ */
+export function setConfigValue(config: Config, path: string, value: unknown): PatchOperation[];
+
+import {Config} from './config-model.js';
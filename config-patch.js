@@ -0,0 +1,389 @@
+/**
+ * @file Path-based config edits: get and set by path and RFC 6902 JSON Patch with inverse patches.
+ */
+
+"use strict";
+
+import {configFromJSON, configToJSON, getConfigJsonSchema} from "./config-json.js";
+import {validateConfig} from "./config-validator.js";
+
+/**
+ * Single JSON Patch operation. Paths are JSON Pointers ("/tableConfigs/1/rows/3/label") or config paths
+ * ("tableConfigs[1].rows[3].label").
+ *
+ * @typedef {{op: string, path: string, value: (*|undefined), from: (string|undefined)}} PatchOperation
+ */
+
+/**
+ * Error thrown when a path or patch doesn't fit the config.
+ */
+export class ConfigPatchError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} path Config path of the failing operation.
+   * @param {number} [index] Index of the failing operation in the patch.
+   */
+  constructor(message, path, index) {
+    super(index === undefined ? message : `Patch operation ${index}: ${message}`);
+    this.name = 'ConfigPatchError';
+    this.path = path;
+    this.index = index;
+  }
+}
+
+const SCHEMA = getConfigJsonSchema();
+
+/**
+ * Splits a JSON Pointer or config path into property names and array indexes.
+ *
+ * @param {string} path
+ *
+ * @returns {Array<string>} Segments, indexes as strings like in JSON Pointers.
+ * @throws {ConfigPatchError} Path must be valid and point into the config.
+ */
+function parsePath(path) {
+  if (typeof path !== 'string' || path === '' || path === '/') {
+    throw new ConfigPatchError(`Invalid path "${path}", it must point into the config.`, String(path));
+  }
+  if (path.startsWith('/')) {
+    return path.slice(1).split('/').map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+  const segments = [];
+  const pattern = /(?:^|\.)([\w$]+)|\[(\d+)\]/y;
+  let match;
+  while (pattern.lastIndex < path.length && (match = pattern.exec(path))) {
+    segments.push(match[1] === undefined ? match[2] : match[1]);
+  }
+  if (pattern.lastIndex !== path.length) {
+    throw new ConfigPatchError(`Invalid path "${path}".`, path);
+  }
+  return segments;
+}
+
+/**
+ * Formats segments as config path, e.g. "tableConfigs[1].rows[3].label".
+ *
+ * @param {Array<string>} segments
+ *
+ * @returns {string}
+ */
+function formatPath(segments) {
+  return segments.map((segment, i) => (/^\d+$/.test(segment) ? `[${segment}]` : `${i > 0 ? '.' : ''}${segment}`))
+    .join('');
+}
+
+/**
+ * Formats segments as JSON Pointer, e.g. "/tableConfigs/1/rows/3/label".
+ *
+ * @param {Array<string>} segments
+ *
+ * @returns {string}
+ */
+function formatPointer(segments) {
+  return segments.map((segment) => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * @param {Object} schema
+ *
+ * @returns {Object} Schema with its $ref resolved.
+ */
+function resolveSchema(schema) {
+  return schema.$ref ? SCHEMA.definitions[schema.$ref.replace('#/definitions/', '')] : schema;
+}
+
+/**
+ * Finds the schema of a path and checks that every segment exists in the model.
+ *
+ * @param {Array<string>} segments
+ *
+ * @returns {{schema: Object, parentSchema: Object}}
+ * @throws {ConfigPatchError} Path must exist in the model.
+ */
+function pathSchema(segments) {
+  let schema = {...SCHEMA, properties: {...SCHEMA.properties, schemaVersion: undefined}};
+  let parentSchema;
+  segments.forEach((segment, i) => {
+    parentSchema = schema;
+    if (schema.type === 'array') {
+      if (!/^(0|[1-9]\d*)$/.test(segment) || Number(segment) >= schema.maxItems) {
+        throw new ConfigPatchError(`${formatPath(segments.slice(0, i))} has ${schema.maxItems} items, `
+          + `"${segment}" isn't one of them.`, formatPath(segments));
+      }
+      schema = resolveSchema(schema.items);
+    } else if (schema.type === 'object' && schema.properties && schema.properties[segment]) {
+      schema = resolveSchema(schema.properties[segment]);
+    } else if (schema.type === 'object' && schema.additionalProperties
+      && new RegExp(schema.propertyNames.pattern).test(segment)) {
+      schema = schema.additionalProperties;
+    } else {
+      throw new ConfigPatchError(`Unknown config path ${formatPath(segments.slice(0, i + 1))}.`,
+        formatPath(segments));
+    }
+  });
+  return {schema, parentSchema};
+}
+
+/**
+ * Checks that a JSON value has the types and structure of a schema of the config model.
+ *
+ * Ranges, text lengths and formats are left to checkRanges, so they match validateConfig.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path Config path used in the message.
+ *
+ * @returns {string|undefined} Description of the first mismatch, undefined if the value fits.
+ */
+function checkValue(schema, value, path) {
+  schema = resolveSchema(schema);
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)
+        || (schema.type === 'integer' && !Number.isInteger(value))) {
+        return `${path} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}.`;
+      }
+      return undefined;
+    case 'string':
+      return typeof value === 'string' ? undefined : `${path} must be a string.`;
+    case 'boolean':
+      return typeof value === 'boolean' ? undefined : `${path} must be a boolean.`;
+    case 'array':
+      if (!Array.isArray(value) || value.length !== schema.maxItems) {
+        return `${path} must be an array of ${schema.maxItems} items.`;
+      }
+      return value.map((item, index) => checkValue(schema.items, item, `${path}[${index}]`))
+        .find((message) => message);
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return `${path} must be an object.`;
+      }
+      const missing = (schema.required || []).find((name) => value[name] === undefined);
+      if (missing) {
+        return `${path}.${missing} is missing.`;
+      }
+      return Object.entries(value).map(([name, item]) => {
+        if (schema.properties && schema.properties[name]) {
+          return checkValue(schema.properties[name], item, `${path}.${name}`);
+        }
+        if (schema.additionalProperties && new RegExp(schema.propertyNames.pattern).test(name)) {
+          return checkValue(schema.additionalProperties, item, `${path}.${name}`);
+        }
+        return `${path}.${name} isn't part of the config.`;
+      }).find((message) => message);
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Checks the values at and below a path of a config in JSON form with validateConfig, so a patch can't
+ * store anything the binary format can't hold.
+ *
+ * @param {Object} root Config in JSON form.
+ * @param {string} path Config path of the written value.
+ *
+ * @returns {string|undefined} Description of the first error, undefined if the values can be stored.
+ */
+function checkRanges(root, path) {
+  let config;
+  try {
+    config = configFromJSON(root);
+  } catch (e) {
+    return e.message;
+  }
+  const issue = validateConfig(config).find((issue) => issue.severity === 'error'
+    && (issue.path === path || issue.path.startsWith(`${path}.`) || issue.path.startsWith(`${path}[`)));
+  return issue && `${issue.path}: ${issue.message}`;
+}
+
+/**
+ * Compares two JSON values.
+ *
+ * @param {*} a
+ * @param {*} b
+ *
+ * @returns {boolean}
+ */
+function jsonEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => key in b && jsonEqual(a[key], b[key]));
+}
+
+/**
+ * Returns a JSON value of the config.
+ *
+ * @param {Object} root Config in JSON form.
+ * @param {Array<string>} segments
+ *
+ * @returns {*} Undefined if an optional value isn't set.
+ */
+function readValue(root, segments) {
+  return segments.reduce((node, segment) => (node === undefined ? undefined : node[segment]), root);
+}
+
+/**
+ * Applies one operation onto a config in JSON form.
+ *
+ * @param {Object} root Config in JSON form, modified in place.
+ * @param {PatchOperation} operation
+ *
+ * @returns {Array<PatchOperation>} Operations undoing this one, in order.
+ * @throws {ConfigPatchError} Operation must be valid, fit the model and tests must pass.
+ */
+function applyOperation(root, operation) {
+  if (!operation || typeof operation !== 'object') {
+    throw new ConfigPatchError('Operation must be an object.', '');
+  }
+  const segments = parsePath(operation.path);
+  const path = formatPath(segments);
+  const pointer = formatPointer(segments);
+  const {schema, parentSchema} = pathSchema(segments);
+  const parent = readValue(root, segments.slice(0, -1));
+  const key = segments[segments.length - 1];
+  if (parent === undefined) {
+    throw new ConfigPatchError(`${formatPath(segments.slice(0, -1))} isn't set.`, path);
+  }
+  const oldValue = parent[key];
+
+  const write = (value) => {
+    const message = checkValue(schema, value, path);
+    if (message) {
+      throw new ConfigPatchError(message, path);
+    }
+    parent[key] = JSON.parse(JSON.stringify(value));
+    const rangeMessage = checkRanges(root, path);
+    if (rangeMessage) {
+      throw new ConfigPatchError(rangeMessage, path);
+    }
+  };
+  const remove = () => {
+    if (oldValue === undefined) {
+      throw new ConfigPatchError(`${path} isn't set.`, path);
+    }
+    if (parentSchema.type === 'array' || (parentSchema.required || []).includes(key)) {
+      throw new ConfigPatchError(`${path} is required and can't be removed.`, path);
+    }
+    delete parent[key];
+  };
+  // Undoes a write: restores the old value or removes the added one.
+  const restore = () => (oldValue === undefined
+    ? [{op: 'remove', path: pointer}]
+    : [{op: 'replace', path: pointer, value: oldValue}]);
+
+  switch (operation.op) {
+    case 'test':
+      if (!jsonEqual(oldValue, operation.value)) {
+        throw new ConfigPatchError(`Test failed, ${path} is ${JSON.stringify(oldValue)}.`, path);
+      }
+      return [];
+    case 'replace':
+      if (oldValue === undefined) {
+        throw new ConfigPatchError(`${path} isn't set, use "add".`, path);
+      }
+      write(operation.value);
+      return restore();
+    case 'add':
+      write(operation.value);
+      return restore();
+    case 'remove':
+      remove();
+      return [{op: 'add', path: pointer, value: oldValue}];
+    case 'copy':
+    case 'move': {
+      if (operation.from === undefined) {
+        throw new ConfigPatchError(`"${operation.op}" needs a "from" path.`, path);
+      }
+      const fromSegments = parsePath(operation.from);
+      pathSchema(fromSegments);
+      const value = readValue(root, fromSegments);
+      if (value === undefined) {
+        throw new ConfigPatchError(`${formatPath(fromSegments)} isn't set.`, path);
+      }
+      if (operation.op === 'copy') {
+        write(value);
+        return restore();
+      }
+      const undoRemove = applyOperation(root, {op: 'remove', path: operation.from});
+      write(value);
+      return [...restore(), ...undoRemove];
+    }
+    default:
+      throw new ConfigPatchError(`Unknown operation "${operation.op}".`, path);
+  }
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) onto a copy of a config.
+ *
+ * Every value is checked against the model's field types and the ranges of validateConfig. Arrays have a
+ * fixed length, so only their items can be replaced, and only optional values like unknownBytes can be
+ * removed. The patch is applied completely or not at all.
+ *
+ * @param {Config} config Config to patch, it isn't modified.
+ * @param {Array<PatchOperation>} patch
+ *
+ * @returns {{config: Config, inverse: Array<PatchOperation>}} Patched copy of the config and the patch that
+ *     turns it back into the original.
+ * @throws {ConfigPatchError} Operations must be valid, fit the model and tests must pass.
+ */
+export function applyConfigPatch(config, patch) {
+  if (!Array.isArray(patch)) {
+    throw new ConfigPatchError('Patch must be an array of operations.', '');
+  }
+  const root = JSON.parse(configToJSON(config));
+  const inverse = [];
+  patch.forEach((operation, index) => {
+    try {
+      inverse.unshift(...applyOperation(root, operation));
+    } catch (e) {
+      throw e instanceof ConfigPatchError ? new ConfigPatchError(e.message, e.path, index) : e;
+    }
+  });
+  return {config: configFromJSON(root), inverse};
+}
+
+/**
+ * Returns a value of a config by path.
+ *
+ * @param {Config} config
+ * @param {string} path Config path ("tableConfigs[1].rows[3].label") or JSON Pointer.
+ *
+ * @returns {*} Value as stored in the config, model objects for nested parts.
+ * @throws {ConfigPatchError} Path must exist in the model.
+ */
+export function getConfigValue(config, path) {
+  const segments = parsePath(path);
+  pathSchema(segments);
+  // Unknown bytes are addressed by their JSON form, runs of hex bytes keyed by offset.
+  const root = segments[0] === 'unknownBytes' && segments.length > 1 ? JSON.parse(configToJSON(config)) : config;
+  return readValue(root, segments);
+}
+
+/**
+ * Sets a value of a config by path. Objects and arrays are converted into model objects.
+ *
+ * @param {Config} config Modified in place.
+ * @param {string} path Config path ("tableConfigs[1].rows[3].label") or JSON Pointer.
+ * @param {*} value Value matching the model's field type.
+ *
+ * @returns {Array<PatchOperation>} Patch that undoes the change.
+ * @throws {ConfigPatchError} Path must exist in the model and the value must fit its type.
+ */
+export function setConfigValue(config, path, value) {
+  const segments = parsePath(path);
+  const {config: patched, inverse} = applyConfigPatch(config, [{op: 'add', path: formatPointer(segments), value}]);
+  // Unknown bytes are stored as one Uint8Array, so they are replaced as a whole.
+  const changed = segments[0] === 'unknownBytes' ? segments.slice(0, 1) : segments;
+  const parent = readValue(config, changed.slice(0, -1));
+  parent[changed[changed.length - 1]] = readValue(patched, changed);
+  return inverse;
+}
@@ -0,0 +1,49 @@
+/**
+ * Visual part of a Config. Every property is optional when applying a theme, missing ones are kept.
+ */
+export type ConfigTheme = {
+  layout?: number;
+  backgroundColor?: string;
+  fontColor?: string;
+  digitsConfig?: Partial<Pick<DigitsConfig, 'width' | 'height' | 'dotWidth' | 'spacing' | 'normalColor'
+    | 'warningColor'>>;
+  gaugeConfigs?: Array<Partial<Pick<GaugeConfig, 'needleWidth' | 'needleHeight' | 'needleCenterX'
+    | 'needleCenterY' | 'needlePosX' | 'needlePosY' | 'indicatorPosX' | 'indicatorPosY' | 'startAngle'
+    | 'scaleRange'>> | null | undefined>;
+  numericalGaugeConfigs?: Array<Partial<Pick<NumericalGaugeConfig, 'positionX' | 'positionY' | 'centered'>>
+    | null | undefined>;
+};
+
+/**
+ * Extracts the visual part of a config: layout, table colors, digits, gauge geometry and numerical gauge
+ * positions.
+ *
+ * @param {Config} config
+ *
+ * @returns {ConfigTheme} Plain object, can be stored as JSON.
+ */
+export function extractConfigTheme(config: Config): Required<ConfigTheme>;
+
+/**
+ * Applies a theme onto a copy of a config. Tables, control units and everything else outside of the theme
+ * are kept, so a look can be shared between cars.
+ *
+ * Theme properties that aren't applied, like gauge limits or tables when a whole config is passed as theme,
+ * are reported as warnings with their path in the theme, e.g. "gaugeConfigs[1].upperLimit".
+ *
+ * The result isn't validated, use validateConfig() before converting it.
+ *
+ * @param {Config} config Config to apply the theme onto, it isn't modified.
+ * @param {ConfigTheme|Config} theme Theme created by extractConfigTheme, or a whole config to take the look from.
+ *
+ * @returns {{config: Config, skipped: Array<ValidationIssue>}} Themed copy of the config and the theme
+ *     properties that were left alone.
+ * @throws {Error} Theme must be an object with the theme structure.
+ */
+export function applyConfigTheme(
+  config: Config,
+  theme: ConfigTheme | Config
+): {config: Config; skipped: ValidationIssue[]};
+
+import {Config, DigitsConfig, GaugeConfig, NumericalGaugeConfig} from './config-model.js';
+import {ValidationIssue} from './config-validator.js';
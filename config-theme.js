@@ -0,0 +1,161 @@
+/**
+ * @file Visual themes: the look of a config without its data mapping, to share a look between cars.
+ */
+
+"use strict";
+
+import {configFromJSON, configToJSON} from "./config-json.js";
+import {ValidationIssue} from "./config-validator.js";
+
+/**
+ * Parts of a Config that make up its look. Everything else - tables, control units, gauge limits, car and
+ * general settings - is data mapping and stays with the config.
+ */
+const THEME_FIELDS = ['layout', 'backgroundColor', 'fontColor'];
+const DIGITS_FIELDS = ['width', 'height', 'dotWidth', 'spacing', 'normalColor', 'warningColor'];
+const GAUGE_FIELDS = ['needleWidth', 'needleHeight', 'needleCenterX', 'needleCenterY', 'needlePosX', 'needlePosY',
+  'indicatorPosX', 'indicatorPosY', 'startAngle', 'scaleRange'];
+const NUMERICAL_GAUGE_FIELDS = ['positionX', 'positionY', 'centered'];
+
+/**
+ * Visual part of a Config. Every property is optional when applying a theme, missing ones are kept.
+ *
+ * @typedef {{layout: number, backgroundColor: string, fontColor: string,
+ *     digitsConfig: {width: number, height: number, dotWidth: number, spacing: number, normalColor: string,
+ *     warningColor: string}, gaugeConfigs: Array<{needleWidth: number, needleHeight: number,
+ *     needleCenterX: number, needleCenterY: number, needlePosX: number, needlePosY: number,
+ *     indicatorPosX: number, indicatorPosY: number, startAngle: number, scaleRange: number}>,
+ *     numericalGaugeConfigs: Array<{positionX: number, positionY: number, centered: boolean}>}} ConfigTheme
+ */
+
+/**
+ * Copies the named fields of an object.
+ *
+ * @param {Object} value
+ * @param {Array<string>} fields
+ *
+ * @returns {Object}
+ */
+function pick(value, fields) {
+  return Object.fromEntries(fields.map((name) => [name, value[name]]));
+}
+
+/**
+ * Extracts the visual part of a config: layout, table colors, digits, gauge geometry and numerical gauge
+ * positions.
+ *
+ * @param {Config} config
+ *
+ * @returns {ConfigTheme} Plain object, can be stored as JSON.
+ */
+export function extractConfigTheme(config) {
+  return {
+    ...pick(config, THEME_FIELDS),
+    digitsConfig: pick(config.digitsConfig, DIGITS_FIELDS),
+    gaugeConfigs: config.gaugeConfigs.map((gaugeConfig) => pick(gaugeConfig, GAUGE_FIELDS)),
+    numericalGaugeConfigs: config.numericalGaugeConfigs.map((gaugeConfig) => pick(gaugeConfig,
+      NUMERICAL_GAUGE_FIELDS)),
+  };
+}
+
+/**
+ * @returns {string} Message for a field that isn't part of the theme.
+ */
+function notInTheme() {
+  return 'Not part of a theme, left unchanged.';
+}
+
+/**
+ * Copies the theme fields of one object onto a target and reports the other fields of the source.
+ *
+ * @param {Object} target Modified in place.
+ * @param {Object} source
+ * @param {Array<string>} fields Fields that belong to the theme.
+ * @param {string} path JSON path of the source used in the issues.
+ * @param {Array<ValidationIssue>} issues Receives fields that were left alone.
+ * @param {function(string): string} [reason] Returns the message for a field that isn't part of the theme.
+ */
+function applyFields(target, source, fields, path, issues, reason = notInTheme) {
+  for (const [name, value] of Object.entries(source)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (fields.includes(name)) {
+      target[name] = value;
+    } else {
+      issues.push(new ValidationIssue(`${path}${name}`, 'warning', reason(name), value));
+    }
+  }
+}
+
+/**
+ * Applies the theme items of one array onto the model objects of a config.
+ *
+ * @param {Array<Object>} targets Model objects, modified in place.
+ * @param {Array<Object>|undefined} items Theme items, missing and empty items keep their target.
+ * @param {Array<string>} fields
+ * @param {string} path JSON path of the array.
+ * @param {Array<ValidationIssue>} issues
+ * @param {function(string, number): string} [reason] Message for a field that isn't part of the theme.
+ * @throws {Error} Items must be an array.
+ */
+function applyItems(targets, items, fields, path, issues, reason = notInTheme) {
+  if (items === undefined) {
+    return;
+  }
+  if (!Array.isArray(items)) {
+    throw new Error(`Theme ${path} must be an array.`);
+  }
+  items.forEach((item, index) => {
+    if (!item) {
+      return;
+    }
+    if (index >= targets.length) {
+      issues.push(new ValidationIssue(`${path}[${index}]`, 'warning',
+        `Config has only ${targets.length} entries, left unused.`, item, {max: targets.length - 1}));
+      return;
+    }
+    applyFields(targets[index], item, fields, `${path}[${index}].`, issues, (name) => reason(name, index));
+  });
+}
+
+/**
+ * Applies a theme onto a copy of a config. Tables, control units and everything else outside of the theme
+ * are kept, so a look can be shared between cars.
+ *
+ * Theme properties that aren't applied, like gauge limits or tables when a whole config is passed as theme,
+ * are reported as warnings with their path in the theme, e.g. "gaugeConfigs[1].upperLimit".
+ *
+ * The result isn't validated, use validateConfig() before converting it.
+ *
+ * @param {Config} config Config to apply the theme onto, it isn't modified.
+ * @param {ConfigTheme|Config} theme Theme created by extractConfigTheme, or a whole config to take the look from.
+ *
+ * @returns {{config: Config, skipped: Array<ValidationIssue>}} Themed copy of the config and the theme
+ *     properties that were left alone.
+ * @throws {Error} Theme must be an object with the theme structure.
+ */
+export function applyConfigTheme(config, theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw new Error('Invalid theme provided.');
+  }
+  const themed = configFromJSON(configToJSON(config));
+  const skipped = [];
+
+  const {digitsConfig, gaugeConfigs, numericalGaugeConfigs, ...general} = theme;
+  applyFields(themed, general, THEME_FIELDS, '', skipped);
+  if (digitsConfig !== undefined) {
+    if (!digitsConfig || typeof digitsConfig !== 'object') {
+      throw new Error('Theme digitsConfig must be an object.');
+    }
+    applyFields(themed.digitsConfig, digitsConfig, DIGITS_FIELDS, 'digitsConfig.', skipped);
+  }
+  applyItems(themed.gaugeConfigs, gaugeConfigs, GAUGE_FIELDS, 'gaugeConfigs', skipped, (name, index) =>
+    (['lowerLimit', 'upperLimit'].includes(name)
+      ? `Gauge limits belong to the measurement in tableConfigs[0].rows[${index}], left unchanged.`
+      : notInTheme()));
+  applyItems(themed.numericalGaugeConfigs, numericalGaugeConfigs, NUMERICAL_GAUGE_FIELDS, 'numericalGaugeConfigs',
+    skipped);
+
+  return {config: themed, skipped};
+}
@@ -0,0 +1,56 @@
+export class ValidationIssue {
+  /**
+   * Single problem found in a config.
+   *
+   * @param {string} path JSON path of the value, e.g. "tableConfigs[2].rows[4].label".
+   * @param {string} severity "error" if the value can't be stored, "warning" if it's stored but suspicious.
+   * @param {string} message Human readable description.
+   * @param {*} value Offending value.
+   * @param {{min: (number|undefined), max: (number|undefined), values: (Array|undefined),
+   *     pattern: (string|undefined)}} [allowed] Allowed range, values or pattern.
+   * @constructor
+   */
+  constructor(
+    path: string,
+    severity: 'error' | 'warning',
+    message: string,
+    value: any,
+    allowed?: ValidationRange
+  );
+
+  path: string;
+  severity: 'error' | 'warning';
+  message: string;
+  value: any;
+  allowed?: ValidationRange;
+}
+
+export type ValidationRange = {
+  min?: number;
+  max?: number;
+  values?: any[];
+  pattern?: string;
+};
+
+/**
+ * Error thrown when a config with validation errors is converted in strict mode.
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {Array<ValidationIssue>} issues Issues with "error" severity.
+   */
+  constructor(issues: ValidationIssue[]);
+
+  issues: ValidationIssue[];
+}
+
+/**
+ * Checks all config values against the ranges of the binary format.
+ *
+ * @param {Config} config Full configuration.
+ *
+ * @returns {Array<ValidationIssue>} Found issues, empty if the config is valid.
+ */
+export function validateConfig(config: Config): ValidationIssue[];
+
+import {Config} from './config-model.js';
@@ -0,0 +1,313 @@
+/**
+ * @file Validates FIS-Control configuration objects before they are converted to binary.
+ */
+
+"use strict";
+
+import {encodeFisText, FIS_SPECIAL_CHARACTERS} from "./fis-charset.js";
+
+const INT8 = {min: -128, max: 127};
+const UINT8 = {min: 0, max: 255};
+const INT16 = {min: -32768, max: 32767};
+const UINT16 = {min: 0, max: 65535};
+const INT32 = {min: -2147483648, max: 2147483647};
+
+/**
+ * Single problem found in a config.
+ *
+ * @param {string} path JSON path of the value, e.g. "tableConfigs[2].rows[4].label".
+ * @param {string} severity "error" if the value can't be stored, "warning" if it's stored but suspicious.
+ * @param {string} message Human readable description.
+ * @param {*} value Offending value.
+ * @param {{min: (number|undefined), max: (number|undefined), values: (Array|undefined),
+ *     pattern: (string|undefined)}} [allowed] Allowed range, values or pattern.
+ * @constructor
+ */
+export function ValidationIssue(path, severity, message, value, allowed) {
+  this.path = path;
+  this.severity = severity;
+  this.message = message;
+  this.value = value;
+  this.allowed = allowed;
+}
+
+/**
+ * Error thrown when a config with validation errors is converted in strict mode.
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {Array<ValidationIssue>} issues Issues with "error" severity.
+   */
+  constructor(issues) {
+    super(`Config has ${issues.length} error(s): `
+      + issues.map((issue) => `${issue.path}: ${issue.message}`).join('; '));
+    this.name = 'ConfigValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Checks that a value is an integer that fits into the given range.
+ *
+ * @param {Array<ValidationIssue>} issues
+ * @param {string} path
+ * @param {*} value
+ * @param {{min: number, max: number}} range
+ */
+function checkInteger(issues, path, value, range) {
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    issues.push(new ValidationIssue(path, 'error', 'Expected an integer.', value, range));
+  } else if (value < range.min || value > range.max) {
+    issues.push(new ValidationIssue(path, 'error', `Expected a value from ${range.min} to ${range.max}.`,
+      value, range));
+  }
+}
+
+/**
+ * Checks that a number stored with a fixed scale fits into a signed 32 bit value.
+ *
+ * @param {Array<ValidationIssue>} issues
+ * @param {string} path
+ * @param {*} value
+ * @param {number} scale Multiplier used by the binary format, e.g. 1000 for thousandths.
+ */
+function checkScaledNumber(issues, path, value, scale) {
+  const range = {min: INT32.min / scale, max: INT32.max / scale};
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    issues.push(new ValidationIssue(path, 'error', 'Expected a number.', value, range));
+  } else if (value < range.min || value > range.max) {
+    issues.push(new ValidationIssue(path, 'error', `Expected a value from ${range.min} to ${range.max}.`,
+      value, range));
+  } else if (!Number.isInteger(Math.round(value * scale * 1e6) / 1e6)) {
+    issues.push(new ValidationIssue(path, 'warning', `Precision is limited to 1/${scale}, value will be cut.`,
+      value, range));
+  }
+}
+
+/**
+ * Warns about integers outside the documented values of an enumeration.
+ *
+ * @param {Array<ValidationIssue>} issues
+ * @param {string} path
+ * @param {*} value
+ * @param {Array<number>} values
+ */
+function checkEnum(issues, path, value, values) {
+  checkInteger(issues, path, value, UINT8);
+  if (Number.isInteger(value) && value >= UINT8.min && value <= UINT8.max && !values.includes(value)) {
+    issues.push(new ValidationIssue(path, 'warning', `Unknown value, expected one of ${values.join(', ')}.`,
+      value, {values}));
+  }
+}
+
+/**
+ * @param {Array<ValidationIssue>} issues
+ * @param {string} path
+ * @param {*} value
+ */
+function checkBoolean(issues, path, value) {
+  if (typeof value !== 'boolean') {
+    issues.push(new ValidationIssue(path, 'error', 'Expected a boolean.', value, {values: [false, true]}));
+  }
+}
+
+/**
+ * @param {Array<ValidationIssue>} issues
+ * @param {string} path
+ * @param {*} value
+ */
+function checkColor(issues, path, value) {
+  if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+    issues.push(new ValidationIssue(path, 'error', 'Expected a color in "#rrggbb" format.', value,
+      {pattern: '^#[0-9a-fA-F]{6}$'}));
+  }
+}
+
+/**
+ * Checks that a text can be stored in the FIS character set and fits into its fixed size field.
+ *
+ * @param {Array<ValidationIssue>} issues
+ * @param {string} path
+ * @param {*} value
+ * @param {number} maxLength Field size in bytes.
+ */
+function checkText(issues, path, value, maxLength) {
+  if (typeof value !== 'string') {
+    issues.push(new ValidationIssue(path, 'error', 'Expected a string.', value, {max: maxLength}));
+    return;
+  }
+  const {bytes, unmappable} = encodeFisText(value);
+  if (unmappable.length > 0) {
+    const characters = unmappable.map(({character}) => `"${character}"`).join(', ');
+    issues.push(new ValidationIssue(path, 'error', `Characters ${characters} can't be displayed.`, value,
+      {pattern: `^[\\x20-\\x7E\\xA0-\\xFF${Object.values(FIS_SPECIAL_CHARACTERS).join('')}]*$`}));
+  }
+  if (bytes.length > maxLength) {
+    issues.push(new ValidationIssue(path, 'error', `Text is ${bytes.length} bytes long, max is ${maxLength}.`,
+      value, {max: maxLength}));
+  }
+}
+
+/**
+ * Checks that an array exists and has the expected number of items.
+ *
+ * @param {Array<ValidationIssue>} issues
+ * @param {string} path
+ * @param {*} value
+ * @param {number} length
+ *
+ * @returns {boolean} True if items can be checked.
+ */
+function checkArray(issues, path, value, length) {
+  if (!Array.isArray(value) || value.length !== length) {
+    issues.push(new ValidationIssue(path, 'error', `Expected an array of ${length} items.`, value,
+      {min: length, max: length}));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Checks that an array item is an object, so its values can be checked.
+ *
+ * @param {Array<ValidationIssue>} issues
+ * @param {string} path
+ * @param {*} value
+ *
+ * @returns {boolean} True if the value is an object.
+ */
+function checkItem(issues, path, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    issues.push(new ValidationIssue(path, 'error', 'Expected an object.', value));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Checks all config values against the ranges of the binary format.
+ *
+ * @param {Config} config Full configuration.
+ *
+ * @returns {Array<ValidationIssue>} Found issues, empty if the config is valid.
+ */
+export function validateConfig(config) {
+  const issues = [];
+  if (!config) {
+    issues.push(new ValidationIssue('', 'error', 'Config is required.', config));
+    return issues;
+  }
+
+  checkEnum(issues, 'language', config.language, [0, 1]);
+  checkEnum(issues, 'autostart', config.autostart, [0, 1, 2, 3, 4, 5, 6, 7]);
+  checkEnum(issues, 'bluetooth', config.bluetooth, [0, 1]);
+  checkInteger(issues, 'car', config.car, UINT8);
+  checkEnum(issues, 'layout', config.layout, [0, 1, 2]);
+  checkEnum(issues, 'view1', config.view1, [0, 1, 2, 3, 4]);
+  checkColor(issues, 'backgroundColor', config.backgroundColor);
+  checkColor(issues, 'fontColor', config.fontColor);
+
+  if (!config.modsConfig) {
+    issues.push(new ValidationIssue('modsConfig', 'error', 'Mods config is required.', config.modsConfig));
+  } else {
+    for (const name of ['mfswRoller', 'driveSelect', 'egtToCan', 'halfResolution', 'ignorePdc', 'scrollTables',
+      'statusbarGauge', 'statusbarTable', 'virtualCockpit', 'starButton', 'texture', 'hideDrive', 'hideMmi',
+      'alarm']) {
+      checkBoolean(issues, `modsConfig.${name}`, config.modsConfig[name]);
+    }
+  }
+
+  const digitsConfig = config.digitsConfig;
+  if (!digitsConfig) {
+    issues.push(new ValidationIssue('digitsConfig', 'error', 'Digits config is required.', digitsConfig));
+  } else {
+    checkInteger(issues, 'digitsConfig.width', digitsConfig.width, UINT8);
+    checkInteger(issues, 'digitsConfig.height', digitsConfig.height, UINT8);
+    checkInteger(issues, 'digitsConfig.dotWidth', digitsConfig.dotWidth, UINT8);
+    checkInteger(issues, 'digitsConfig.spacing', digitsConfig.spacing, UINT8);
+    checkColor(issues, 'digitsConfig.normalColor', digitsConfig.normalColor);
+    checkColor(issues, 'digitsConfig.warningColor', digitsConfig.warningColor);
+    if (digitsConfig.width * digitsConfig.height > 2730) {
+      issues.push(new ValidationIssue('digitsConfig', 'warning',
+        `Digit size ${digitsConfig.width}x${digitsConfig.height} doesn't fit into a 2730 byte slot.`,
+        digitsConfig.width * digitsConfig.height, {max: 2730}));
+    }
+  }
+
+  if (checkArray(issues, 'gaugeConfigs', config.gaugeConfigs, 3)) {
+    config.gaugeConfigs.forEach((gaugeConfig, index) => {
+      const path = `gaugeConfigs[${index}]`;
+      if (!checkItem(issues, path, gaugeConfig)) {
+        return;
+      }
+      checkInteger(issues, `${path}.needleWidth`, gaugeConfig.needleWidth, UINT8);
+      checkInteger(issues, `${path}.needleHeight`, gaugeConfig.needleHeight, UINT8);
+      for (const name of ['needleCenterX', 'needleCenterY', 'needlePosX', 'needlePosY', 'indicatorPosX',
+        'indicatorPosY']) {
+        checkInteger(issues, `${path}.${name}`, gaugeConfig[name], INT16);
+      }
+      checkScaledNumber(issues, `${path}.startAngle`, gaugeConfig.startAngle, 10);
+      checkScaledNumber(issues, `${path}.scaleRange`, gaugeConfig.scaleRange, 10);
+      checkScaledNumber(issues, `${path}.lowerLimit`, gaugeConfig.lowerLimit, 1000);
+      checkScaledNumber(issues, `${path}.upperLimit`, gaugeConfig.upperLimit, 1000);
+      if (gaugeConfig.needleWidth * gaugeConfig.needleHeight > 8192) {
+        issues.push(new ValidationIssue(path, 'warning',
+          `Needle size ${gaugeConfig.needleWidth}x${gaugeConfig.needleHeight} doesn't fit into a 32 KB slot.`,
+          gaugeConfig.needleWidth * gaugeConfig.needleHeight, {max: 8192}));
+      }
+    });
+  }
+
+  if (checkArray(issues, 'numericalGaugeConfigs', config.numericalGaugeConfigs, 10)) {
+    config.numericalGaugeConfigs.forEach((numericalGaugeConfig, index) => {
+      const path = `numericalGaugeConfigs[${index}]`;
+      if (!checkItem(issues, path, numericalGaugeConfig)) {
+        return;
+      }
+      // The sign of positionX stores the alignment, so it can't be negative itself.
+      checkInteger(issues, `${path}.positionX`, numericalGaugeConfig.positionX, {min: 0, max: INT16.max});
+      checkInteger(issues, `${path}.positionY`, numericalGaugeConfig.positionY, INT16);
+      checkBoolean(issues, `${path}.centered`, numericalGaugeConfig.centered);
+    });
+  }
+
+  if (checkArray(issues, 'tableConfigs', config.tableConfigs, 5)) {
+    config.tableConfigs.forEach((tableConfig, tableIndex) => {
+      const tablePath = `tableConfigs[${tableIndex}]`;
+      if (!checkItem(issues, tablePath, tableConfig)) {
+        return;
+      }
+      checkInteger(issues, `${tablePath}.controlUnitIndex`, tableConfig.controlUnitIndex, UINT16);
+      if (!checkArray(issues, `${tablePath}.rows`, tableConfig.rows, 10)) {
+        return;
+      }
+      tableConfig.rows.forEach((rowConfig, rowIndex) => {
+        const path = `${tablePath}.rows[${rowIndex}]`;
+        if (!checkItem(issues, path, rowConfig)) {
+          return;
+        }
+        checkInteger(issues, `${path}.measurement`, rowConfig.measurement, UINT16);
+        checkText(issues, `${path}.label`, rowConfig.label, 30);
+        checkText(issues, `${path}.unit`, rowConfig.unit, 20);
+        checkInteger(issues, `${path}.decimals`, rowConfig.decimals, INT8);
+        checkInteger(issues, `${path}.factor`, rowConfig.factor, INT8);
+        checkInteger(issues, `${path}.pressure`, rowConfig.pressure, INT8);
+        checkScaledNumber(issues, `${path}.lowerWarning`, rowConfig.lowerWarning, 1000);
+        checkScaledNumber(issues, `${path}.upperWarning`, rowConfig.upperWarning, 1000);
+        if (rowConfig.lowerWarning > rowConfig.upperWarning) {
+          issues.push(new ValidationIssue(`${path}.lowerWarning`, 'warning',
+            'Lower warning threshold is above the upper one.', rowConfig.lowerWarning,
+            {max: rowConfig.upperWarning}));
+        }
+      });
+    });
+  }
+
+  if (config.unknownBytes !== undefined
+    && (!(config.unknownBytes instanceof Uint8Array) || config.unknownBytes.length !== 16384)) {
+    issues.push(new ValidationIssue('unknownBytes', 'error', 'Expected a Uint8Array of 16384 bytes.',
+      config.unknownBytes, {min: 16384, max: 16384}));
+  }
+
+  return issues;
+}
@@ -0,0 +1,82 @@
+export type DigitCharacter = '0' | '1' | '2' | '3' | '4' | '5' | '6' | '7' | '8' | '9' | '.' | '-';
+
+export type GlyphOptions = {
+  strokeWidth?: number;
+  supersampling?: number;
+};
+
+/** Characters of the digit slots, in the order they are stored in the "needles" blob. */
+export const DIGIT_CHARACTERS: ReadonlyArray<DigitCharacter>;
+
+/**
+ * Renders one digit glyph as an anti-aliased grayscale image, black on white, as the digit slots expect.
+ *
+ * @param {string} character One of DIGIT_CHARACTERS.
+ * @param {number} width
+ * @param {number} height
+ * @param {{strokeWidth: (number|undefined), supersampling: (number|undefined)}} [options] Stroke width in
+ *     pixels, derived from the size by default, and samples per pixel along each axis, 4 by default.
+ *
+ * @returns {Uint8ClampedArray} Opaque RGBA image.
+ * @throws {Error} Character must have a glyph and the size must be positive.
+ */
+export function renderDigitGlyph(
+  character: DigitCharacter,
+  width: number,
+  height: number,
+  options?: GlyphOptions
+): Uint8ClampedArray;
+
+/**
+ * Renders all digit glyphs for a digits config, in slot order (0-9, dot, minus).
+ *
+ * Digits and minus are DigitsConfig.width wide, the dot is DigitsConfig.dotWidth wide and drawn with the
+ * stroke width of the digits.
+ *
+ * @param {DigitsConfig} digitsConfig
+ * @param {{strokeWidth: (number|undefined), supersampling: (number|undefined),
+ *     slots: (Array<number>|undefined)}} [options] See renderDigitGlyph, and the slots to render, all by
+ *     default.
+ *
+ * @returns {Array<RgbaImage|undefined>} Twelve RGBA images, undefined for slots that weren't rendered.
+ * @throws {Error} Rendered images must fit into the 2730 byte digit slots.
+ */
+export function renderDigitGlyphs(
+  digitsConfig: DigitsConfig,
+  options?: GlyphOptions & {slots?: number[]}
+): Array<RgbaImage | undefined>;
+
+/**
+ * Renders all digit images for a digits config as PNGs, in slot order (0-9, dot, minus).
+ *
+ * The result can be saved for editing or passed straight after the needles to convertNeedlesAndDigits.
+ *
+ * @param {DigitsConfig} digitsConfig
+ * @param {{strokeWidth: (number|undefined), supersampling: (number|undefined)}} [options] See
+ *     renderDigitGlyph.
+ *
+ * @returns {Array<ArrayBuffer>} Twelve PNG images.
+ * @throws {Error} Images must fit into the 2730 byte digit slots.
+ */
+export function renderDigitImages(digitsConfig: DigitsConfig, options?: GlyphOptions): ArrayBuffer[];
+
+/**
+ * Renders digit glyphs for a digits config directly into the digit slots of a "needles" blob.
+ *
+ * @param {ArrayBuffer} buffer "needles" blob, modified in place.
+ * @param {DigitsConfig} digitsConfig
+ * @param {{strokeWidth: (number|undefined), supersampling: (number|undefined),
+ *     slots: (Array<number>|undefined)}} [options] See renderDigitGlyph, and the slots to write, all by
+ *     default.
+ *
+ * @returns {ArrayBuffer} The same buffer.
+ * @throws {Error} Images must fit into the 2730 byte digit slots.
+ */
+export function renderDigitsIntoNeedles(
+  buffer: ArrayBuffer,
+  digitsConfig: DigitsConfig,
+  options?: GlyphOptions & {slots?: number[]}
+): ArrayBuffer;
+
+import {DigitsConfig} from './config-model.js';
+import {RgbaImage} from './preview-drawing.js';
@@ -0,0 +1,228 @@
+/**
+ * @file Built-in stroke font for rendering the digit images of the "needles" blob at any size.
+ */
+
+"use strict";
+
+import {clampedRGBAToPngArrayBuffer, writeDigitSlot} from './image-converter.js';
+
+/** Characters of the digit slots, in the order they are stored in the "needles" blob. */
+export const DIGIT_CHARACTERS = Object.freeze(['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', '-']);
+
+/** Bytes available for one digit image, one byte per pixel. */
+const DIGIT_SLOT_SIZE = 2730;
+
+/**
+ * Points of an elliptic arc. Angles are in degrees, clockwise from the positive x axis, because y grows
+ * downwards.
+ *
+ * @param {number} centerX
+ * @param {number} centerY
+ * @param {number} radiusX
+ * @param {number} radiusY
+ * @param {number} startAngle
+ * @param {number} endAngle
+ *
+ * @returns {Array<Array<number>>} [x, y] points.
+ */
+function arc(centerX, centerY, radiusX, radiusY, startAngle, endAngle) {
+  const steps = Math.max(2, Math.ceil(Math.abs(endAngle - startAngle) / 15));
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const angle = (startAngle + (endAngle - startAngle) * i / steps) * Math.PI / 180;
+    points.push([centerX + radiusX * Math.cos(angle), centerY + radiusY * Math.sin(angle)]);
+  }
+  return points;
+}
+
+const SIX = [
+  arc(0.5, 0.68, 0.5, 0.32, 0, 360),
+  arc(1, 0.68, 1, 0.68, 250, 180),
+];
+
+/**
+ * Glyphs as polylines in a unit box, x to the right and y downwards. A polyline of a single point is a dot.
+ *
+ * @type {Object.<string, Array<Array<Array<number>>>>}
+ */
+const GLYPHS = {
+  '0': [arc(0.5, 0.5, 0.5, 0.5, 0, 360)],
+  '1': [[[0.15, 0.22], [0.6, 0]], [[0.6, 0], [0.6, 1]], [[0.2, 1], [0.95, 1]]],
+  '2': [[...arc(0.5, 0.27, 0.5, 0.27, 190, 390), [0, 1], [1, 1]]],
+  '3': [arc(0.5, 0.25, 0.5, 0.25, 200, 450), arc(0.5, 0.75, 0.5, 0.25, 270, 520)],
+  '4': [[[0.75, 1], [0.75, 0], [0, 0.7], [1, 0.7]]],
+  '5': [[[0.95, 0], [0.12, 0], [0.06, 0.47], ...arc(0.5, 0.68, 0.5, 0.32, 225, 520)]],
+  '6': SIX,
+  '7': [[[0, 0], [1, 0], [0.35, 1]]],
+  '8': [arc(0.5, 0.24, 0.42, 0.24, 0, 360), arc(0.5, 0.73, 0.5, 0.27, 0, 360)],
+  '9': SIX.map((polyline) => polyline.map(([x, y]) => [1 - x, 1 - y])),
+  '.': [[[0.5, 1]]],
+  '-': [[[0.1, 0.5], [0.9, 0.5]]],
+};
+
+/**
+ * Squared distance of a point to a line segment.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<number>} start
+ * @param {Array<number>} end
+ *
+ * @returns {number}
+ */
+function squaredSegmentDistance(x, y, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const length = dx * dx + dy * dy;
+  const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((x - start[0]) * dx + (y - start[1]) * dy) / length));
+  const distanceX = x - (start[0] + t * dx);
+  const distanceY = y - (start[1] + t * dy);
+  return distanceX * distanceX + distanceY * distanceY;
+}
+
+/**
+ * Default stroke width for a glyph size.
+ *
+ * @param {number} width
+ * @param {number} height
+ *
+ * @returns {number}
+ */
+function defaultStrokeWidth(width, height) {
+  return Math.max(1, Math.min(width * 0.22, height * 0.12));
+}
+
+/**
+ * Renders one digit glyph as an anti-aliased grayscale image, black on white, as the digit slots expect.
+ *
+ * @param {string} character One of DIGIT_CHARACTERS.
+ * @param {number} width
+ * @param {number} height
+ * @param {{strokeWidth: (number|undefined), supersampling: (number|undefined)}} [options] Stroke width in
+ *     pixels, derived from the size by default, and samples per pixel along each axis, 4 by default.
+ *
+ * @returns {Uint8ClampedArray} Opaque RGBA image.
+ * @throws {Error} Character must have a glyph and the size must be positive.
+ */
+export function renderDigitGlyph(character, width, height, options = {}) {
+  const glyph = GLYPHS[character];
+  if (!glyph) {
+    throw new Error(`No glyph for "${character}". Use one of ${DIGIT_CHARACTERS.join(' ')}.`);
+  }
+  if (!(width > 0 && height > 0)) {
+    throw new Error(`Invalid glyph size ${width}x${height}.`);
+  }
+
+  const strokeWidth = options.strokeWidth || defaultStrokeWidth(width, height);
+  const supersampling = options.supersampling || 4;
+  const inset = strokeWidth / 2 + 0.5;
+  const scaleX = Math.max(0, width - 2 * inset);
+  const scaleY = Math.max(0, height - 2 * inset);
+  const segments = [];
+  for (const polyline of glyph) {
+    const points = polyline.map(([x, y]) => [inset + x * scaleX, inset + y * scaleY]);
+    if (points.length === 1) {
+      segments.push([points[0], points[0]]);
+    }
+    for (let i = 1; i < points.length; i++) {
+      segments.push([points[i - 1], points[i]]);
+    }
+  }
+
+  const maxDistance = (strokeWidth / 2) ** 2;
+  const image = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let covered = 0;
+      for (let sampleY = 0; sampleY < supersampling; sampleY++) {
+        for (let sampleX = 0; sampleX < supersampling; sampleX++) {
+          const px = x + (sampleX + 0.5) / supersampling;
+          const py = y + (sampleY + 0.5) / supersampling;
+          if (segments.some(([start, end]) => squaredSegmentDistance(px, py, start, end) <= maxDistance)) {
+            covered++;
+          }
+        }
+      }
+      const value = 0xFF - Math.round(0xFF * covered / (supersampling * supersampling));
+      image.set([value, value, value, 0xFF], (y * width + x) * 4);
+    }
+  }
+  return image;
+}
+
+/**
+ * Renders all digit glyphs for a digits config, in slot order (0-9, dot, minus).
+ *
+ * Digits and minus are DigitsConfig.width wide, the dot is DigitsConfig.dotWidth wide and drawn with the
+ * stroke width of the digits.
+ *
+ * @param {DigitsConfig} digitsConfig
+ * @param {{strokeWidth: (number|undefined), supersampling: (number|undefined),
+ *     slots: (Array<number>|undefined)}} [options] See renderDigitGlyph, and the slots to render, all by
+ *     default.
+ *
+ * @returns {Array<RgbaImage|undefined>} Twelve RGBA images, undefined for slots that weren't rendered.
+ * @throws {Error} Rendered images must fit into the 2730 byte digit slots.
+ */
+export function renderDigitGlyphs(digitsConfig, options = {}) {
+  const {width, height, dotWidth} = digitsConfig;
+  const slots = options.slots || DIGIT_CHARACTERS.map((character, index) => index);
+  const glyphSizes = [['Digit', width, slots.some((slot) => DIGIT_CHARACTERS[slot] !== '.')],
+    ['Dot', dotWidth, slots.includes(DIGIT_CHARACTERS.indexOf('.'))]];
+  for (const [name, glyphWidth, rendered] of glyphSizes) {
+    if (rendered && glyphWidth * height > DIGIT_SLOT_SIZE) {
+      throw new Error(`${name} size ${glyphWidth}x${height} doesn't fit into a ${DIGIT_SLOT_SIZE} byte slot.`);
+    }
+  }
+
+  const glyphOptions = {...options, strokeWidth: options.strokeWidth || defaultStrokeWidth(width, height)};
+  return DIGIT_CHARACTERS.map((character, slot) => {
+    if (!slots.includes(slot)) {
+      return undefined;
+    }
+    const glyphWidth = character === '.' ? dotWidth : width;
+    return {
+      width: glyphWidth,
+      height,
+      data: renderDigitGlyph(character, glyphWidth, height, glyphOptions),
+    };
+  });
+}
+
+/**
+ * Renders all digit images for a digits config as PNGs, in slot order (0-9, dot, minus).
+ *
+ * The result can be saved for editing or passed straight after the needles to convertNeedlesAndDigits.
+ *
+ * @param {DigitsConfig} digitsConfig
+ * @param {{strokeWidth: (number|undefined), supersampling: (number|undefined)}} [options] See
+ *     renderDigitGlyph.
+ *
+ * @returns {Array<ArrayBuffer>} Twelve PNG images.
+ * @throws {Error} Images must fit into the 2730 byte digit slots.
+ */
+export function renderDigitImages(digitsConfig, options = {}) {
+  return renderDigitGlyphs(digitsConfig, options)
+    .map((image) => clampedRGBAToPngArrayBuffer(image.data, image.width, image.height));
+}
+
+/**
+ * Renders digit glyphs for a digits config directly into the digit slots of a "needles" blob.
+ *
+ * @param {ArrayBuffer} buffer "needles" blob, modified in place.
+ * @param {DigitsConfig} digitsConfig
+ * @param {{strokeWidth: (number|undefined), supersampling: (number|undefined),
+ *     slots: (Array<number>|undefined)}} [options] See renderDigitGlyph, and the slots to write, all by
+ *     default.
+ *
+ * @returns {ArrayBuffer} The same buffer.
+ * @throws {Error} Images must fit into the 2730 byte digit slots.
+ */
+export function renderDigitsIntoNeedles(buffer, digitsConfig, options = {}) {
+  renderDigitGlyphs(digitsConfig, options).forEach((image, slot) => {
+    if (image) {
+      writeDigitSlot(buffer, slot, image.data);
+    }
+  });
+  return buffer;
+}
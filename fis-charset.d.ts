@@ -0,0 +1,44 @@
+/**
+ * Glyphs of the display font that differ from Latin-1, keyed by byte. Until the font's full table is known,
+ * printable ASCII (0x20-0x7E) and Latin-1 (0xA0-0xFF) bytes map to the same code points, which is how
+ * configs have always been written.
+ */
+export const FIS_SPECIAL_CHARACTERS: Readonly<{[byte: number]: string}>;
+
+/**
+ * Converts a Unicode text into FIS bytes.
+ *
+ * Characters that can't be mapped are replaced with "?" and reported, so callers can refuse to store them.
+ *
+ * @param {string} text
+ *
+ * @returns {{bytes: Uint8Array, unmappable: Array<{index: number, character: string}>}} Encoded bytes
+ *     without a terminator and unmappable characters with their index in the text.
+ */
+export function encodeFisText(text: string): {
+  bytes: Uint8Array;
+  unmappable: Array<{index: number; character: string}>;
+};
+
+/**
+ * Builds a regular expression matching texts that are stored in at most maxBytes bytes, every character
+ * being mappable. Each alternative of the pattern is encoded into a single byte, so it can stand in for a
+ * byte limit where only character counts are available, e.g. in JSON Schema.
+ *
+ * @param {number} maxBytes
+ *
+ * @returns {string} Pattern source, anchored at both ends.
+ */
+export function getFisTextPattern(maxBytes: number): string;
+
+/**
+ * Converts FIS bytes into a Unicode text, stopping at the first zero byte.
+ *
+ * Bytes without a known glyph are decoded as private use characters (U+F701-U+F7FF), so they are kept when
+ * the text is encoded again.
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @returns {string}
+ */
+export function decodeFisText(bytes: Uint8Array): string;
@@ -0,0 +1,136 @@
+/**
+ * @file Conversion between Unicode text and the single-byte character set of the FIS-Control display font.
+ */
+
+"use strict";
+
+/**
+ * Glyphs of the display font that differ from Latin-1, keyed by byte. Until the font's full table is known,
+ * printable ASCII (0x20-0x7E) and Latin-1 (0xA0-0xFF) bytes map to the same code points, which is how
+ * configs have always been written.
+ *
+ * @type {Object.<number, string>}
+ */
+export const FIS_SPECIAL_CHARACTERS = Object.freeze({
+  0x81: 'λ',
+});
+
+/**
+ * Other spellings accepted when encoding, mapped to the byte they are stored as.
+ *
+ * "*lambda*" is the placeholder older configs used for the lambda symbol.
+ *
+ * @type {Object.<string, number>}
+ */
+const ALIASES = {
+  '*lambda*': 0x81,
+  'μ': 0xB5, // Greek small letter mu, stored as the Latin-1 micro sign.
+};
+
+/** Byte written for characters that can't be mapped. */
+const REPLACEMENT_BYTE = 0x3F; // "?"
+
+/**
+ * Checks whether a byte is printable ASCII or Latin-1 and maps to the code point with the same value.
+ *
+ * @param {number} byte
+ *
+ * @returns {boolean}
+ */
+function isPassthrough(byte) {
+  return (byte >= 0x20 && byte <= 0x7E) || (byte >= 0xA0 && byte <= 0xFF);
+}
+
+/**
+ * Bytes without a known glyph are decoded into the Unicode private use area at this code point plus the
+ * byte value, so they survive a decode/encode round trip.
+ */
+const RAW_BYTE_BASE = 0xF700;
+
+const ENCODE_TABLE = new Map(
+  Object.entries(FIS_SPECIAL_CHARACTERS).map(([byte, character]) => [character, Number(byte)]));
+
+/**
+ * Converts a Unicode text into FIS bytes.
+ *
+ * Characters that can't be mapped are replaced with "?" and reported, so callers can refuse to store them.
+ *
+ * @param {string} text
+ *
+ * @returns {{bytes: Uint8Array, unmappable: Array<{index: number, character: string}>}} Encoded bytes
+ *     without a terminator and unmappable characters with their index in the text.
+ */
+export function encodeFisText(text) {
+  const bytes = [];
+  const unmappable = [];
+
+  for (let index = 0; index < text.length;) {
+    const alias = Object.keys(ALIASES).find((key) => text.startsWith(key, index));
+    if (alias) {
+      bytes.push(ALIASES[alias]);
+      index += alias.length;
+      continue;
+    }
+
+    const character = String.fromCodePoint(text.codePointAt(index));
+    const code = character.codePointAt(0);
+    if (ENCODE_TABLE.has(character)) {
+      bytes.push(ENCODE_TABLE.get(character));
+    } else if (isPassthrough(code)) {
+      bytes.push(code);
+    } else if (code > RAW_BYTE_BASE && code <= RAW_BYTE_BASE + 0xFF) {
+      bytes.push(code - RAW_BYTE_BASE);
+    } else {
+      unmappable.push({index, character});
+      bytes.push(REPLACEMENT_BYTE);
+    }
+    index += character.length;
+  }
+
+  return {bytes: new Uint8Array(bytes), unmappable};
+}
+
+/**
+ * Builds a regular expression matching texts that are stored in at most maxBytes bytes, every character
+ * being mappable. Each alternative of the pattern is encoded into a single byte, so it can stand in for a
+ * byte limit where only character counts are available, e.g. in JSON Schema.
+ *
+ * @param {number} maxBytes
+ *
+ * @returns {string} Pattern source, anchored at both ends.
+ */
+export function getFisTextPattern(maxBytes) {
+  const escape = (text) => text.replace(/[\\^$.*+?()[\]{}|-]/g, '\\$&');
+  const characters = [...ENCODE_TABLE.keys(), ...Object.keys(ALIASES).filter((alias) => alias.length === 1)];
+  const sequences = Object.keys(ALIASES).filter((alias) => alias.length > 1);
+  // Printable ASCII, Latin-1, special glyphs and the private use characters of bytes without a glyph.
+  const characterClass = `[\\x20-\\x7E\\xA0-\\xFF${escape(characters.join(''))}\\uF701-\\uF7FF]`;
+  return `^(?:${[...sequences.map(escape), characterClass].join('|')}){0,${maxBytes}}$`;
+}
+
+/**
+ * Converts FIS bytes into a Unicode text, stopping at the first zero byte.
+ *
+ * Bytes without a known glyph are decoded as private use characters (U+F701-U+F7FF), so they are kept when
+ * the text is encoded again.
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @returns {string}
+ */
+export function decodeFisText(bytes) {
+  let text = '';
+  for (const byte of bytes) {
+    if (byte === 0) {
+      break;
+    }
+    if (FIS_SPECIAL_CHARACTERS[byte]) {
+      text += FIS_SPECIAL_CHARACTERS[byte];
+    } else if (isPassthrough(byte)) {
+      text += String.fromCharCode(byte);
+    } else {
+      text += String.fromCharCode(RAW_BYTE_BASE + byte);
+    }
+  }
+  return text;
+}
@@ -0,0 +1,67 @@
+/**
+ * Calculates the needle angle for a value. Values outside of the limits stop the needle at the end of the
+ * scale.
+ *
+ * @param {GaugeConfig} gaugeConfig
+ * @param {number} value
+ *
+ * @returns {number} Clockwise angle in degrees.
+ */
+export function getNeedleAngle(gaugeConfig: GaugeConfig, value: number): number;
+
+/**
+ * Checks if a value is outside of the warning thresholds of a table row. Rows without a range
+ * (lowerWarning >= upperWarning) never warn.
+ *
+ * @param {TableRowConfig} row
+ * @param {number} value
+ *
+ * @returns {boolean}
+ */
+export function isWarningValue(row: TableRowConfig, value: number): boolean;
+
+/**
+ * Formats a value the way numerical gauges and tables show it.
+ *
+ * Values that can't be written with digits, a dot and a minus (NaN, infinite values and values of 1e21 or
+ * more, which toFixed writes in exponent notation) are shown as "---".
+ *
+ * @param {number} value
+ * @param {number} decimals Number of decimal places, negative values are treated as 0.
+ *
+ * @returns {string}
+ */
+export function formatValue(value: number, decimals: number): string;
+
+/**
+ * Renders the gauges screen as the device would show it for a set of measurement values.
+ *
+ * Gauges and numerical gauges show the rows of the first table: needle i and numerical gauge i display
+ * values[i]. Needles are rotated around needleCenterX/Y, which is placed at needlePosX/Y. Numerical gauges use
+ * the decimals and warning thresholds of their row and switch to the warning color outside of them.
+ *
+ * Use clampedRGBAToPngArrayBuffer to save the result as a PNG.
+ *
+ * @param {Config} config
+ * @param {ImageInput|undefined} background 800x480 gauges background, black if not provided.
+ * @param {Array<ImageInput|undefined>} needles Three needle images, missing needles are not drawn.
+ * @param {Array<number|undefined|null>} values Values of the first table rows, gauges without a value are not
+ *     drawn.
+ * @param {{digits: (Array<ImageInput>|undefined)}} [options] Twelve digit images in slot order (0-9,
+ *     dot, minus), rendered with the built-in font in the configured size by default.
+ *
+ * @returns {RgbaImage} 800x480 RGBA image.
+ * @throws {Error} Background must be 800x480, digits must have twelve images and the glyphs of the drawn
+ *     values must have a valid size.
+ */
+export function renderGaugesPreview(
+  config: Config,
+  background: ImageInput | undefined,
+  needles: Array<ImageInput | undefined>,
+  values: Array<number | undefined | null>,
+  options?: {digits?: ImageInput[]}
+): RgbaImage;
+
+import {Config, GaugeConfig, TableRowConfig} from './config-model.js';
+import {ImageInput} from './image-input.js';
+import {RgbaImage} from './preview-drawing.js';
@@ -0,0 +1,161 @@
+/**
+ * @file Offline preview of the gauges screen, so a config can be checked before it is flashed to the car.
+ */
+
+"use strict";
+
+import {DIGIT_CHARACTERS, renderDigitGlyphs} from './digit-font.js';
+import {fitImage} from './image-fit.js';
+import {decodeImage} from './image-input.js';
+import {createImage, drawGlyph, drawImage, drawRotatedImage} from './preview-drawing.js';
+
+const SCREEN_WIDTH = 800;
+const SCREEN_HEIGHT = 480;
+/** Shown instead of values that can't be written with the digit glyphs. */
+const PLACEHOLDER_TEXT = '---';
+
+/**
+ * Calculates the needle angle for a value. Values outside of the limits stop the needle at the end of the
+ * scale.
+ *
+ * @param {GaugeConfig} gaugeConfig
+ * @param {number} value
+ *
+ * @returns {number} Clockwise angle in degrees.
+ */
+export function getNeedleAngle(gaugeConfig, value) {
+  const {lowerLimit, upperLimit, startAngle, scaleRange} = gaugeConfig;
+  if (upperLimit === lowerLimit) {
+    return startAngle;
+  }
+  const fraction = (value - lowerLimit) / (upperLimit - lowerLimit);
+  return startAngle + Math.max(0, Math.min(1, fraction)) * scaleRange;
+}
+
+/**
+ * Checks if a value is outside of the warning thresholds of a table row. Rows without a range
+ * (lowerWarning >= upperWarning) never warn.
+ *
+ * @param {TableRowConfig} row
+ * @param {number} value
+ *
+ * @returns {boolean}
+ */
+export function isWarningValue(row, value) {
+  return row.lowerWarning < row.upperWarning && (value < row.lowerWarning || value > row.upperWarning);
+}
+
+/**
+ * Formats a value the way numerical gauges and tables show it.
+ *
+ * Values that can't be written with digits, a dot and a minus (NaN, infinite values and values of 1e21 or
+ * more, which toFixed writes in exponent notation) are shown as "---".
+ *
+ * @param {number} value
+ * @param {number} decimals Number of decimal places, negative values are treated as 0.
+ *
+ * @returns {string}
+ */
+export function formatValue(value, decimals) {
+  if (!Number.isFinite(value) || Math.abs(value) >= 1e21) {
+    return PLACEHOLDER_TEXT;
+  }
+  return value.toFixed(Math.max(0, Math.min(20, decimals)));
+}
+
+/**
+ * Draws a numerical gauge value with digit glyphs.
+ *
+ * Centered gauges are centered on positionX, the others end at positionX. positionY is the top edge.
+ *
+ * @param {RgbaImage} screen Modified in place.
+ * @param {NumericalGaugeConfig} numericalGaugeConfig
+ * @param {DigitsConfig} digitsConfig
+ * @param {Array<RgbaImage>} glyphs Digit glyphs in slot order.
+ * @param {string} text Formatted value.
+ * @param {string} color Color in HTML hex format ("#123456").
+ */
+function drawNumericalGauge(screen, numericalGaugeConfig, digitsConfig, glyphs, text, color) {
+  const textGlyphs = [...text].map((character) => glyphs[DIGIT_CHARACTERS.indexOf(character)]);
+  const width = textGlyphs.reduce((sum, glyph) => sum + glyph.width, 0)
+    + digitsConfig.spacing * (textGlyphs.length - 1);
+  let x = numericalGaugeConfig.centered
+    ? numericalGaugeConfig.positionX - width / 2
+    : numericalGaugeConfig.positionX - width;
+  for (const glyph of textGlyphs) {
+    drawGlyph(screen, glyph, x, numericalGaugeConfig.positionY, color);
+    x += glyph.width + digitsConfig.spacing;
+  }
+}
+
+/**
+ * Renders the gauges screen as the device would show it for a set of measurement values.
+ *
+ * Gauges and numerical gauges show the rows of the first table: needle i and numerical gauge i display
+ * values[i]. Needles are rotated around needleCenterX/Y, which is placed at needlePosX/Y. Numerical gauges use
+ * the decimals and warning thresholds of their row and switch to the warning color outside of them.
+ *
+ * Use clampedRGBAToPngArrayBuffer to save the result as a PNG.
+ *
+ * @param {Config} config
+ * @param {ImageInput|undefined} background 800x480 gauges background, black if not provided.
+ * @param {Array<ImageInput|undefined>} needles Three needle images, missing needles are not drawn.
+ * @param {Array<number|undefined|null>} values Values of the first table rows, gauges without a value are not
+ *     drawn.
+ * @param {{digits: (Array<ImageInput>|undefined)}} [options] Twelve digit images in slot order (0-9,
+ *     dot, minus), rendered with the built-in font in the configured size by default.
+ *
+ * @returns {RgbaImage} 800x480 RGBA image.
+ * @throws {Error} Background must be 800x480, digits must have twelve images and the glyphs of the drawn
+ *     values must have a valid size.
+ */
+export function renderGaugesPreview(config, background, needles, values, options = {}) {
+  if (options.digits && (!Array.isArray(options.digits) || options.digits.length !== DIGIT_CHARACTERS.length)) {
+    const count = Array.isArray(options.digits) ? options.digits.length : 'no array';
+    throw new Error(`Expected ${DIGIT_CHARACTERS.length} digit images in slot order (0-9, dot, minus), `
+      + `got ${count}.`);
+  }
+
+  const screen = createImage(SCREEN_WIDTH, SCREEN_HEIGHT, '#000000');
+  if (background) {
+    const {width, height, data: image} = decodeImage(background);
+    const data = fitImage(image, width, height, SCREEN_WIDTH, SCREEN_HEIGHT);
+    drawImage(screen, {width: SCREEN_WIDTH, height: SCREEN_HEIGHT, data}, 0, 0);
+  }
+
+  config.gaugeConfigs.forEach((gaugeConfig, index) => {
+    const value = values[index];
+    if (!needles[index] || typeof value !== 'number' || Number.isNaN(value)) {
+      return;
+    }
+    drawRotatedImage(screen, decodeImage(needles[index]), gaugeConfig.needleCenterX, gaugeConfig.needleCenterY,
+      gaugeConfig.needlePosX, gaugeConfig.needlePosY, getNeedleAngle(gaugeConfig, value));
+  });
+
+  const digitsConfig = config.digitsConfig;
+  const numericalGauges = [];
+  config.numericalGaugeConfigs.forEach((numericalGaugeConfig, index) => {
+    const value = values[index];
+    if (typeof value !== 'number') {
+      return;
+    }
+    const row = config.tableConfigs[0].rows[index];
+    const color = isWarningValue(row, value) ? digitsConfig.warningColor : digitsConfig.normalColor;
+    numericalGauges.push({numericalGaugeConfig, text: formatValue(value, row.decimals), color});
+  });
+  if (numericalGauges.length === 0) {
+    return screen;
+  }
+
+  // Only the glyphs of the drawn characters are needed, so e.g. a zero dot width only matters for decimals.
+  const slots = [...new Set(numericalGauges.map(({text}) => text).join(''))]
+    .map((character) => DIGIT_CHARACTERS.indexOf(character));
+  const glyphs = options.digits
+    ? options.digits.map((image, slot) => (slots.includes(slot) ? decodeImage(image) : undefined))
+    : renderDigitGlyphs(digitsConfig, {slots});
+  for (const {numericalGaugeConfig, text, color} of numericalGauges) {
+    drawNumericalGauge(screen, numericalGaugeConfig, digitsConfig, glyphs, text, color);
+  }
+
+  return screen;
+}
@@ -1,73 +1,256 @@
 /**
- * Converts a raw PNG array buffer into a clamped RGBA values array.
+ * Converts an image into a clamped RGBA values array.
  *
- * @param {ArrayBuffer} rawPngData
+ * Despite the name, any image input is accepted: PNG or BMP files, raw RGBA data and ImageData.
+ *
+ * @param {ImageInput} rawPngData
  *
  * @returns {Uint8ClampedArray|undefined} RGBA array if input provided, otherwise undefined.
  */
 export function rawPngArrayBufferToClampedRGBA(
-  rawPngData: ArrayBuffer
+  rawPngData: ImageInput | undefined
 ): Uint8ClampedArray | undefined;
 
 /**
- * Returns PNG images dimensions.
+ * Returns images dimensions.
  *
- * @param {ArrayBuffer} rawPngData
+ * @param {ImageInput} rawPngData
  *
  * @returns {[number, number]} [width, height] tuple.
  */
-export function getImageDimensions(rawPngData: ArrayBuffer): [number, number];
+export function getImageDimensions(rawPngData: ImageInput): [number, number];
+
+/**
+ * Encodes a clamped RGBA values array as a lossless PNG file.
+ *
+ * @param {Uint8ClampedArray} rgbaData
+ * @param {number} width
+ * @param {number} height
+ *
+ * @returns {ArrayBuffer} Raw PNG data.
+ */
+export function clampedRGBAToPngArrayBuffer(
+  rgbaData: Uint8ClampedArray,
+  width: number,
+  height: number
+): ArrayBuffer;
+
+export type DigitKey = '0' | '1' | '2' | '3' | '4' | '5' | '6' | '7' | '8' | '9' | '.' | '-';
+
+export type NeedlesAndDigitsOptions = {
+  needles?: Array<ImageInput | undefined>;
+  digits?: Partial<Record<DigitKey, ImageInput>>;
+  base?: ArrayBuffer;
+};
 
 /**
  * Converts needle and digit images into a single binary object.
  *
- * @param {ArrayBuffer} needle1
- * @param {ArrayBuffer} needle2
- * @param {ArrayBuffer} needle3
- * @param {ArrayBuffer} [digit0]
- * @param {ArrayBuffer} [digit1]
- * @param {ArrayBuffer} [digit2]
- * @param {ArrayBuffer} [digit3]
- * @param {ArrayBuffer} [digit4]
- * @param {ArrayBuffer} [digit5]
- * @param {ArrayBuffer} [digit6]
- * @param {ArrayBuffer} [digit7]
- * @param {ArrayBuffer} [digit8]
- * @param {ArrayBuffer} [digit9]
- * @param {ArrayBuffer} [digitDot]
- * @param {ArrayBuffer} [digitMinus]
+ * Images can be PNG or BMP files, raw RGBA data or ImageData. Instead of the 15 images, a single options
+ * object can be passed:
+ * - needles - up to three needle images,
+ * - digits - digit images keyed by "0"-"9", "." and "-",
+ * - base - existing "needles" blob to start from. Only slots with an image are replaced, the others are
+ *   kept, and needles are optional.
+ *
+ * @param {ImageInput} needle1
+ * @param {ImageInput} needle2
+ * @param {ImageInput} needle3
+ * @param {ImageInput} [digit0]
+ * @param {ImageInput} [digit1]
+ * @param {ImageInput} [digit2]
+ * @param {ImageInput} [digit3]
+ * @param {ImageInput} [digit4]
+ * @param {ImageInput} [digit5]
+ * @param {ImageInput} [digit6]
+ * @param {ImageInput} [digit7]
+ * @param {ImageInput} [digit8]
+ * @param {ImageInput} [digit9]
+ * @param {ImageInput} [digitDot]
+ * @param {ImageInput} [digitMinus]
  *
  * @returns {ArrayBuffer} A buffer that can be loaded into FIS-Control as "needles".
- * @throws {Error} Needle images must be provided.
+ * @throws {Error} Needle images must be provided unless a base blob is given, and every image must fit
+ *     into its slot.
  */
+export function convertNeedlesAndDigits(options: NeedlesAndDigitsOptions): ArrayBuffer;
 export function convertNeedlesAndDigits(
-  needle1: ArrayBuffer,
-  needle2: ArrayBuffer,
-  needle3: ArrayBuffer,
-  digit0?: ArrayBuffer,
-  digit1?: ArrayBuffer,
-  digit2?: ArrayBuffer,
-  digit3?: ArrayBuffer,
-  digit4?: ArrayBuffer,
-  digit5?: ArrayBuffer,
-  digit6?: ArrayBuffer,
-  digit7?: ArrayBuffer,
-  digit8?: ArrayBuffer,
-  digit9?: ArrayBuffer,
-  digitDot?: ArrayBuffer,
-  digitMinus?: ArrayBuffer
+  needle1: ImageInput,
+  needle2: ImageInput,
+  needle3: ImageInput,
+  digit0?: ImageInput,
+  digit1?: ImageInput,
+  digit2?: ImageInput,
+  digit3?: ImageInput,
+  digit4?: ImageInput,
+  digit5?: ImageInput,
+  digit6?: ImageInput,
+  digit7?: ImageInput,
+  digit8?: ImageInput,
+  digit9?: ImageInput,
+  digitDot?: ImageInput,
+  digitMinus?: ImageInput
 ): ArrayBuffer;
 
+/**
+ * Writes a grayscale digit image into its slot of a "needles" blob. The rest of the slot is cleared.
+ *
+ * @param {ArrayBuffer} buffer "needles" blob, modified in place.
+ * @param {number} slot Slot index, 0-9 for the digits, 10 for the dot and 11 for the minus.
+ * @param {Uint8ClampedArray} rgbaData Image with black digit on white background.
+ *
+ * @throws {Error} Slot must exist and the image must fit into it.
+ */
+export function writeDigitSlot(buffer: ArrayBuffer, slot: number, rgbaData: Uint8ClampedArray): void;
+
+/**
+ * Checks needle images against the gauge configs the firmware uses to read them.
+ *
+ * Reports missing needles, images that don't fit into their 32 KB slot or into the uint8 size fields, and
+ * sizes that differ from GaugeConfig.needleWidth/needleHeight.
+ *
+ * @param {Array<ImageInput>} needles Three needle images.
+ * @param {Array<GaugeConfig>} gaugeConfigs Three gauge configs, usually Config.gaugeConfigs.
+ *
+ * @returns {Array<ValidationIssue>} Found issues, empty if needles and configs match.
+ */
+export function validateNeedles(
+  needles: Array<ImageInput | undefined>,
+  gaugeConfigs: Array<GaugeConfig>
+): ValidationIssue[];
+
+/**
+ * Sets GaugeConfig.needleWidth/needleHeight to the sizes of the needle images.
+ *
+ * @param {Array<GaugeConfig>} gaugeConfigs Three gauge configs, modified in place.
+ * @param {Array<ImageInput>} needles Three needle images. Configs of missing needles are kept.
+ *
+ * @returns {Array<GaugeConfig>} The same gauge configs.
+ */
+export function fitGaugeConfigsToNeedles(
+  gaugeConfigs: Array<GaugeConfig>,
+  needles: Array<ImageInput | undefined>
+): GaugeConfig[];
+
+/**
+ * Image decoded from a binary blob.
+ */
+export type DecodedImage = {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray;
+  png: ArrayBuffer;
+};
+
+/**
+ * Converts a "needles" binary object back into needle and digit images.
+ *
+ * The blob doesn't store image sizes, so they have to be taken from the config the blob was made for.
+ * The blob has no marker for unused slots either: 0xFF padding looks exactly like an opaque white needle
+ * or a fully black digit. Slots are only reported as empty if detectEmptySlots is set.
+ *
+ * @param {ArrayBuffer} buffer Binary data created by convertNeedlesAndDigits.
+ * @param {Array<{needleWidth: number, needleHeight: number}>} gaugeConfigs Sizes of the three needles,
+ *     usually Config.gaugeConfigs.
+ * @param {{width: number, height: number, dotWidth: number}} [digitsConfig] Digit sizes, usually
+ *     Config.digitsConfig. The dot uses dotWidth. Digits are skipped if omitted.
+ * @param {{detectEmptySlots: (boolean|undefined)}} [options] Return slots that contain only 0xFF bytes as
+ *     null, off by default.
+ *
+ * @returns {{needles: Array<DecodedImage|null>, digits: Array<DecodedImage|null>}} Three needles and
+ *     twelve digits (0-9, dot, minus).
+ * @throws {Error} Valid needles binary and image sizes must be provided.
+ */
+export function convertBinaryToNeedlesAndDigits(
+  buffer: ArrayBuffer,
+  gaugeConfigs: Array<Pick<GaugeConfig, 'needleWidth' | 'needleHeight'>>,
+  digitsConfig?: Pick<DigitsConfig, 'width' | 'height' | 'dotWidth'>,
+  options?: {detectEmptySlots?: boolean}
+): {needles: Array<DecodedImage | null>; digits: Array<DecodedImage | null>};
+
+export type QuantizationMode = 'truncate' | 'round' | 'ordered' | 'floyd-steinberg';
+
+export const QUANTIZATION_MODES: ReadonlyArray<QuantizationMode>;
+
+/**
+ * Quantizes RGBA pixels to RGB565.
+ *
+ * Modes:
+ * - "truncate" - drop the low bits.
+ * - "round" - round to the nearest level.
+ * - "ordered" - 8x8 Bayer dithering.
+ * - "floyd-steinberg" - error diffusion.
+ *
+ * @param {Uint8ClampedArray} rgbaData
+ * @param {number} width
+ * @param {number} height
+ * @param {string} [mode] One of QUANTIZATION_MODES, "truncate" by default.
+ *
+ * @returns {{data: Uint16Array, psnr: number}} RGB565 pixels and PSNR in dB against the source, Infinity
+ *     if the image is reproduced exactly.
+ * @throws {Error} Mode must be known.
+ */
+export function quantizeToRgb565(
+  rgbaData: Uint8ClampedArray,
+  width: number,
+  height: number,
+  mode?: QuantizationMode
+): {data: Uint16Array; psnr: number};
+
+/**
+ * Quantizes an image with every mode, so the best looking one can be picked.
+ *
+ * Modes are ranked by the smoothed PSNR, which measures banding in gradients rather than the pixel noise
+ * dithering adds. The plain PSNR is returned as well and favours the modes without dithering.
+ *
+ * @param {ImageInput} rawPngData
+ * @param {{fit: (string|undefined), filter: (string|undefined)}} [options] Fit options, if the image should
+ *     be measured as a gauges (800x480) background. Image is measured as is if omitted.
+ *
+ * @returns {Array<{mode: string, psnr: number, smoothedPsnr: number}>} PSNR and smoothed PSNR in dB per
+ *     mode, best first.
+ */
+export function compareQuantizationModes(
+  rawPngData: ImageInput,
+  options?: FitOptions
+): Array<{mode: QuantizationMode; psnr: number; smoothedPsnr: number}>;
+
 /**
  * Converts background images into a single binary object.
  *
- * @param {ArrayBuffer} gaugesBackground
- * @param {ArrayBuffer} [tablesBackground]
+ * Images of a different size are rejected, unless a fit mode is chosen: "crop", "letterbox" or "scale"
+ * (see fitImage). Colors are truncated to RGB565, unless another quantization mode is chosen (see
+ * quantizeToRgb565).
+ *
+ * @param {ImageInput} gaugesBackground 800x480 image.
+ * @param {ImageInput} [tablesBackground] 96x96 image.
+ * @param {{fit: (string|undefined), filter: (string|undefined), quantization: (string|undefined)}} [options]
+ *     Fit mode, resampling filter and quantization mode.
  *
  * @returns {ArrayBuffer} A buffer that can be loaded into FIS-Control as "background".
- * @throws {Error} Gauges background must be provided.
+ * @throws {Error} Gauges background must be provided and images must fit.
  */
 export function convertBackgrounds(
-  gaugesBackground: ArrayBuffer,
-  tablesBackground?: ArrayBuffer
+  gaugesBackground: ImageInput,
+  tablesBackground?: ImageInput,
+  options?: FitOptions & {quantization?: QuantizationMode}
 ): ArrayBuffer;
+
+/**
+ * Converts a "background" binary object back into PNG images.
+ *
+ * @param {ArrayBuffer} buffer Binary data created by convertBackgrounds.
+ *
+ * @returns {{gaugesBackground: ArrayBuffer, tablesBackground: ArrayBuffer}} 800x480 gauges and
+ *     96x96 tables PNG images.
+ * @throws {Error} Valid background binary must be provided.
+ */
+export function convertBinaryToBackgrounds(buffer: ArrayBuffer): {
+  gaugesBackground: ArrayBuffer;
+  tablesBackground: ArrayBuffer;
+};
+
+import {DigitsConfig, GaugeConfig} from './config-model.js';
+import {FitOptions} from './image-fit.js';
+import {ImageInput} from './image-input.js';
+import {ValidationIssue} from './config-validator.js';
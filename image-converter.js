@@ -7,161 +7,708 @@
 "use strict";
 
 import {UPNG} from './libs/UPNG.js';
+import {fitImage} from './image-fit.js';
+import {decodeImage} from './image-input.js';
+import {ValidationIssue} from './config-validator.js';
+
+const NEEDLES_SIZE = 131072; // 128 * 1024 * 1
+const NEEDLE_SEGMENT_SIZE = 32768; // 1024 * 32
+const DIGITS_OFFSET = 98304; // 3 needle segments.
+const DIGIT_SEGMENT_SIZE = 2730;
+const DIGIT_SLOT_KEYS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', '-'];
+const BACKGROUND_SIZE = 786432; // 128 * 1024 * 6
+const GAUGES_BACKGROUND_WIDTH = 800;
+const GAUGES_BACKGROUND_HEIGHT = 480;
+const TABLES_BACKGROUND_WIDTH = 96;
+const TABLES_BACKGROUND_HEIGHT = 96;
+const TABLES_BACKGROUND_OFFSET = 768000; // 800 * 480 * 2
+
+export const QUANTIZATION_MODES = Object.freeze(['truncate', 'round', 'ordered', 'floyd-steinberg']);
+
+// 8x8 Bayer threshold matrix for ordered dithering.
+const BAYER_MATRIX = [
+  0, 32, 8, 40, 2, 34, 10, 42,
+  48, 16, 56, 24, 50, 18, 58, 26,
+  12, 44, 4, 36, 14, 46, 6, 38,
+  60, 28, 52, 20, 62, 30, 54, 22,
+  3, 35, 11, 43, 1, 33, 9, 41,
+  51, 19, 59, 27, 49, 17, 57, 25,
+  15, 47, 7, 39, 13, 45, 5, 37,
+  63, 31, 55, 23, 61, 29, 53, 21,
+];
+// Radius of the box filter used to compare quantization modes, covers the whole Bayer matrix.
+const SMOOTHING_RADIUS = 4;
 
 /**
- * Converts a raw PNG array buffer into a clamped RGBA values array.
+ * Converts an image into a clamped RGBA values array.
  *
- * @param {ArrayBuffer} rawPngData
+ * Despite the name, any image input is accepted: PNG or BMP files, raw RGBA data and ImageData.
+ *
+ * @param {ImageInput} rawPngData
  *
  * @returns {Uint8ClampedArray|undefined} RGBA array if input provided, otherwise undefined.
  */
 export function rawPngArrayBufferToClampedRGBA(rawPngData) {
   if (!rawPngData) return;
 
-  const frames = UPNG.toRGBA8(UPNG.decode(new Uint8Array(rawPngData)));
-  return new Uint8ClampedArray(frames[0]);
+  return decodeImage(rawPngData).data;
 }
 
 /**
- * Returns PNG images dimensions.
+ * Returns images dimensions.
  *
- * @param {ArrayBuffer} rawPngData
+ * @param {ImageInput} rawPngData
  *
  * @returns {[number, number]} [width, height] tuple.
  */
 export function getImageDimensions(rawPngData) {
-  const image = UPNG.decode(new Uint8Array(rawPngData));
+  const image = decodeImage(rawPngData);
   return [image.width, image.height];
 }
 
+/**
+ * Encodes a clamped RGBA values array as a lossless PNG file.
+ *
+ * @param {Uint8ClampedArray} rgbaData
+ * @param {number} width
+ * @param {number} height
+ *
+ * @returns {ArrayBuffer} Raw PNG data.
+ */
+export function clampedRGBAToPngArrayBuffer(rgbaData, width, height) {
+  const rgba = new Uint8Array(rgbaData.buffer, rgbaData.byteOffset, width * height * 4).slice();
+  return UPNG.encode([rgba.buffer], width, height, 0);
+}
+
+/**
+ * Expands RGB565 pixels into a clamped RGBA values array.
+ *
+ * @param {DataView} view
+ * @param {number} offset Byte offset of the first pixel.
+ * @param {number} pixels Number of pixels to read.
+ *
+ * @returns {Uint8ClampedArray} Opaque RGBA array.
+ */
+function rgb565ToClampedRGBA(view, offset, pixels) {
+  const image = new Uint8ClampedArray(pixels * 4);
+
+  for (let i = 0; i < pixels; i++) {
+    const rgb = view.getUint16(offset + i * 2, true);
+    const r = (rgb >> 11) & 0x1F;
+    const g = (rgb >> 5) & 0x3F;
+    const b = rgb & 0x1F;
+    // Replicate the high bits into the low ones, so full intensity maps back to 0xFF.
+    image[i * 4 + 0] = (r << 3) | (r >> 2);
+    image[i * 4 + 1] = (g << 2) | (g >> 4);
+    image[i * 4 + 2] = (b << 3) | (b >> 2);
+    image[i * 4 + 3] = 0xFF;
+  }
+
+  return image;
+}
+
+/**
+ * @typedef {{needles: (Array<ImageInput|undefined>|undefined), digits: (Object.<string, ImageInput>|undefined),
+ *     base: (ArrayBuffer|undefined)}} NeedlesAndDigitsOptions
+ */
+
 /**
  * Converts needle and digit images into a single binary object.
  *
- * @param {ArrayBuffer} needle1
- * @param {ArrayBuffer} needle2
- * @param {ArrayBuffer} needle3
- * @param {ArrayBuffer} [digit0]
- * @param {ArrayBuffer} [digit1]
- * @param {ArrayBuffer} [digit2]
- * @param {ArrayBuffer} [digit3]
- * @param {ArrayBuffer} [digit4]
- * @param {ArrayBuffer} [digit5]
- * @param {ArrayBuffer} [digit6]
- * @param {ArrayBuffer} [digit7]
- * @param {ArrayBuffer} [digit8]
- * @param {ArrayBuffer} [digit9]
- * @param {ArrayBuffer} [digitDot]
- * @param {ArrayBuffer} [digitMinus]
+ * Images can be PNG or BMP files, raw RGBA data or ImageData. Instead of the 15 images, a single options
+ * object can be passed:
+ * - needles - up to three needle images,
+ * - digits - digit images keyed by "0"-"9", "." and "-",
+ * - base - existing "needles" blob to start from. Only slots with an image are replaced, the others are
+ *   kept, and needles are optional.
+ *
+ * @param {ImageInput|NeedlesAndDigitsOptions} needle1
+ * @param {ImageInput} needle2
+ * @param {ImageInput} needle3
+ * @param {ImageInput} [digit0]
+ * @param {ImageInput} [digit1]
+ * @param {ImageInput} [digit2]
+ * @param {ImageInput} [digit3]
+ * @param {ImageInput} [digit4]
+ * @param {ImageInput} [digit5]
+ * @param {ImageInput} [digit6]
+ * @param {ImageInput} [digit7]
+ * @param {ImageInput} [digit8]
+ * @param {ImageInput} [digit9]
+ * @param {ImageInput} [digitDot]
+ * @param {ImageInput} [digitMinus]
  *
  * @returns {ArrayBuffer} A buffer that can be loaded into FIS-Control as "needles".
- * @throws {Error} Needle images must be provided.
+ * @throws {Error} Needle images must be provided unless a base blob is given, and every image must fit
+ *     into its slot.
  */
 export function convertNeedlesAndDigits(needle1, needle2, needle3, digit0, digit1, digit2, digit3,
                                         digit4, digit5, digit6, digit7, digit8, digit9, digitDot,
                                         digitMinus) {
-  if (!needle1 || !needle2 || !needle3) {
-    throw new Error('Needle images are required!');
-  }
-
-  const imageArray = [
-    rawPngArrayBufferToClampedRGBA(needle1),
-    rawPngArrayBufferToClampedRGBA(needle2),
-    rawPngArrayBufferToClampedRGBA(needle3),
-    rawPngArrayBufferToClampedRGBA(digit0),
-    rawPngArrayBufferToClampedRGBA(digit1),
-    rawPngArrayBufferToClampedRGBA(digit2),
-    rawPngArrayBufferToClampedRGBA(digit3),
-    rawPngArrayBufferToClampedRGBA(digit4),
-    rawPngArrayBufferToClampedRGBA(digit5),
-    rawPngArrayBufferToClampedRGBA(digit6),
-    rawPngArrayBufferToClampedRGBA(digit7),
-    rawPngArrayBufferToClampedRGBA(digit8),
-    rawPngArrayBufferToClampedRGBA(digit9),
-    rawPngArrayBufferToClampedRGBA(digitDot),
-    rawPngArrayBufferToClampedRGBA(digitMinus),
-  ]
-
-  const outputBuffer = new ArrayBuffer(131072); // 128 * 1024 * 1
-  const outputView = new DataView(outputBuffer);
-  for (let i = 0; i < 131072; i++) {
-    outputView.setUint8(i, 0xFF);
-  }
-
-  // Images [0-2] are the needles.
+  const options = isNeedlesAndDigitsOptions(needle1) ? needle1 : {
+    needles: [needle1, needle2, needle3],
+    digits: {
+      '0': digit0, '1': digit1, '2': digit2, '3': digit3, '4': digit4, '5': digit5, '6': digit6,
+      '7': digit7, '8': digit8, '9': digit9, '.': digitDot, '-': digitMinus,
+    },
+  };
+  const needles = options.needles || [];
+  const digits = options.digits || {};
+
+  if (needles.length > 3) {
+    throw new Error(`Only 3 needles can be stored, got ${needles.length}.`);
+  }
+  for (const key of Object.keys(digits)) {
+    if (!DIGIT_SLOT_KEYS.includes(key)) {
+      throw new Error(`Unknown digit "${key}". Use one of ${DIGIT_SLOT_KEYS.join(' ')}.`);
+    }
+  }
+
+  let outputBuffer;
+  if (options.base) {
+    if (!(options.base instanceof ArrayBuffer) || options.base.byteLength !== NEEDLES_SIZE) {
+      throw new Error('Invalid base needles binary data provided.');
+    }
+    outputBuffer = options.base.slice(0);
+  } else {
+    if (!needles[0] || !needles[1] || !needles[2]) {
+      throw new Error('Needle images are required!');
+    }
+    outputBuffer = new ArrayBuffer(NEEDLES_SIZE);
+    new Uint8Array(outputBuffer).fill(0xFF);
+  }
+
+  needles.forEach((needle, index) => {
+    if (needle) {
+      writeNeedleSlot(outputBuffer, index, rawPngArrayBufferToClampedRGBA(needle));
+    }
+  });
+  DIGIT_SLOT_KEYS.forEach((key, slot) => {
+    if (digits[key]) {
+      writeDigitSlot(outputBuffer, slot, rawPngArrayBufferToClampedRGBA(digits[key]));
+    }
+  });
+
+  return outputBuffer;
+}
+
+/**
+ * Tells the options object form of convertNeedlesAndDigits apart from an image.
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ */
+function isNeedlesAndDigitsOptions(value) {
+  return !!value && typeof value === 'object' && !(value instanceof ArrayBuffer) && !ArrayBuffer.isView(value)
+    && value.data === undefined;
+}
+
+/**
+ * Writes a needle image into its slot of a "needles" blob as BGRA. The rest of the slot is cleared.
+ *
+ * @param {ArrayBuffer} buffer "needles" blob, modified in place.
+ * @param {number} index Needle index, 0-2.
+ * @param {Uint8ClampedArray} image RGBA image.
+ *
+ * @throws {Error} Image must fit into the slot.
+ */
+function writeNeedleSlot(buffer, index, image) {
+  const pixels = image.length / 4;
+  if (pixels > NEEDLE_SEGMENT_SIZE / 4) {
+    throw new Error(`Needle ${index + 1} has ${pixels} pixels, max is ${NEEDLE_SEGMENT_SIZE / 4}.`);
+  }
+
+  const segment = new Uint8Array(buffer, NEEDLE_SEGMENT_SIZE * index, NEEDLE_SEGMENT_SIZE);
+  segment.fill(0xFF);
+  for (let i = 0; i < pixels; i++) {
+    segment[i * 4 + 0] = image[i * 4 + 2]; // B
+    segment[i * 4 + 1] = image[i * 4 + 1]; // G
+    segment[i * 4 + 2] = image[i * 4 + 0]; // R
+    segment[i * 4 + 3] = image[i * 4 + 3]; // A
+  }
+}
+
+/**
+ * Writes a grayscale digit image into its slot of a "needles" blob. The rest of the slot is cleared.
+ *
+ * @param {ArrayBuffer} buffer "needles" blob, modified in place.
+ * @param {number} slot Slot index, 0-9 for the digits, 10 for the dot and 11 for the minus.
+ * @param {Uint8ClampedArray} rgbaData Image with black digit on white background.
+ *
+ * @throws {Error} Slot must exist and the image must fit into it.
+ */
+export function writeDigitSlot(buffer, slot, rgbaData) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength !== NEEDLES_SIZE) {
+    throw new Error('Invalid needles binary data provided.');
+  }
+  if (!Number.isInteger(slot) || slot < 0 || slot > 11) {
+    throw new Error(`Invalid digit slot ${slot}.`);
+  }
+  const pixels = rgbaData.length / 4;
+  if (pixels > DIGIT_SEGMENT_SIZE) {
+    throw new Error(`Digit image ${slot} has ${pixels} pixels, max is ${DIGIT_SEGMENT_SIZE}.`);
+  }
+
+  const segment = new Uint8Array(buffer, DIGIT_SEGMENT_SIZE * slot + DIGITS_OFFSET, DIGIT_SEGMENT_SIZE);
+  segment.fill(0xFF);
+  for (let i = 0; i < pixels; i++) {
+    // R (on grayscale image, R, G and B should have the same value), invert because
+    // black shall be opaque and white shall be transparent
+    segment[i] = 0xFF - rgbaData[i * 4];
+  }
+}
+
+/**
+ * Checks needle images against the gauge configs the firmware uses to read them.
+ *
+ * Reports missing needles, images that don't fit into their 32 KB slot or into the uint8 size fields, and
+ * sizes that differ from GaugeConfig.needleWidth/needleHeight.
+ *
+ * @param {Array<ImageInput>} needles Three needle images.
+ * @param {Array<GaugeConfig>} gaugeConfigs Three gauge configs, usually Config.gaugeConfigs.
+ *
+ * @returns {Array<ValidationIssue>} Found issues, empty if needles and configs match.
+ */
+export function validateNeedles(needles, gaugeConfigs) {
+  const issues = [];
+  for (let index = 0; index < 3; index++) {
+    const needle = needles ? needles[index] : undefined;
+    const gaugeConfig = gaugeConfigs ? gaugeConfigs[index] : undefined;
+    if (!needle) {
+      issues.push(new ValidationIssue(`needles[${index}]`, 'error', 'Needle image is required.', needle));
+      continue;
+    }
+
+    const [width, height] = getImageDimensions(needle);
+    const maxPixels = NEEDLE_SEGMENT_SIZE / 4;
+    if (width * height > maxPixels) {
+      issues.push(new ValidationIssue(`needles[${index}]`, 'error',
+        `Needle is ${width}x${height} (${width * height} pixels), its slot holds ${maxPixels} pixels.`,
+        width * height, {max: maxPixels}));
+    }
+    if (width > 255 || height > 255) {
+      issues.push(new ValidationIssue(`needles[${index}]`, 'error',
+        `Needle is ${width}x${height}, max size that can be configured is 255x255.`, [width, height], {max: 255}));
+    }
+    if (!gaugeConfig) {
+      continue;
+    }
+    if (gaugeConfig.needleWidth !== width) {
+      issues.push(new ValidationIssue(`gaugeConfigs[${index}].needleWidth`, 'error',
+        `Needle image is ${width} pixels wide.`, gaugeConfig.needleWidth, {values: [width]}));
+    }
+    if (gaugeConfig.needleHeight !== height) {
+      issues.push(new ValidationIssue(`gaugeConfigs[${index}].needleHeight`, 'error',
+        `Needle image is ${height} pixels high.`, gaugeConfig.needleHeight, {values: [height]}));
+    }
+  }
+  return issues;
+}
+
+/**
+ * Sets GaugeConfig.needleWidth/needleHeight to the sizes of the needle images.
+ *
+ * @param {Array<GaugeConfig>} gaugeConfigs Three gauge configs, modified in place.
+ * @param {Array<ImageInput>} needles Three needle images. Configs of missing needles are kept.
+ *
+ * @returns {Array<GaugeConfig>} The same gauge configs.
+ */
+export function fitGaugeConfigsToNeedles(gaugeConfigs, needles) {
+  gaugeConfigs.forEach((gaugeConfig, index) => {
+    if (needles[index]) {
+      [gaugeConfig.needleWidth, gaugeConfig.needleHeight] = getImageDimensions(needles[index]);
+    }
+  });
+  return gaugeConfigs;
+}
+
+/**
+ * @typedef {{width: number, height: number, data: Uint8ClampedArray, png: ArrayBuffer}} DecodedImage
+ */
+
+/**
+ * Checks whether a blob region holds only the 0xFF padding of an unused slot.
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @returns {boolean}
+ */
+function isEmptySlot(bytes) {
+  return bytes.every((value) => value === 0xFF);
+}
+
+/**
+ * Converts a "needles" binary object back into needle and digit images.
+ *
+ * The blob doesn't store image sizes, so they have to be taken from the config the blob was made for.
+ * The blob has no marker for unused slots either: 0xFF padding looks exactly like an opaque white needle
+ * or a fully black digit. Slots are only reported as empty if detectEmptySlots is set.
+ *
+ * @param {ArrayBuffer} buffer Binary data created by convertNeedlesAndDigits.
+ * @param {Array<{needleWidth: number, needleHeight: number}>} gaugeConfigs Sizes of the three needles,
+ *     usually Config.gaugeConfigs.
+ * @param {{width: number, height: number, dotWidth: number}} [digitsConfig] Digit sizes, usually
+ *     Config.digitsConfig. The dot uses dotWidth. Digits are skipped if omitted.
+ * @param {{detectEmptySlots: (boolean|undefined)}} [options] Return slots that contain only 0xFF bytes as
+ *     null, off by default.
+ *
+ * @returns {{needles: Array<DecodedImage|null>, digits: Array<DecodedImage|null>}} Three needles and
+ *     twelve digits (0-9, dot, minus).
+ * @throws {Error} Valid needles binary and image sizes must be provided.
+ */
+export function convertBinaryToNeedlesAndDigits(buffer, gaugeConfigs, digitsConfig, options = {}) {
+  if (!buffer || !(buffer instanceof ArrayBuffer) || buffer.byteLength !== NEEDLES_SIZE) {
+    throw new Error('Invalid needles binary data provided.');
+  }
+  if (!gaugeConfigs || gaugeConfigs.length !== 3) {
+    throw new Error('Expected three gauge configs');
+  }
+
+  const needles = [];
   for (let offset = 0; offset < 3; offset++) {
-    let segment = new DataView(outputBuffer, 1024 * 32 * offset);
-
-    if (imageArray[offset] !== undefined) {
-      const image = imageArray[offset];
-
-      const pixels = image.length / 4;
-      if (pixels <= 8192) {
-        for (let i = 0; i < pixels; i++) {
-          segment.setUint8(i * 4 + 0, image[i * 4 + 2]); // B
-          segment.setUint8(i * 4 + 1, image[i * 4 + 1]); // G
-          segment.setUint8(i * 4 + 2, image[i * 4 + 0]); // R
-          segment.setUint8(i * 4 + 3, image[i * 4 + 3]); // A
-        }
-      }
+    const width = gaugeConfigs[offset].needleWidth;
+    const height = gaugeConfigs[offset].needleHeight;
+    if (width * height * 4 > NEEDLE_SEGMENT_SIZE) {
+      throw new Error(`Needle ${offset + 1} size ${width}x${height} does not fit into its segment.`);
+    }
+
+    const segment = new Uint8Array(buffer, NEEDLE_SEGMENT_SIZE * offset, width * height * 4);
+    if (segment.length === 0 || (options.detectEmptySlots && isEmptySlot(segment))) {
+      needles[offset] = null;
+      continue;
+    }
+
+    const image = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      image[i * 4 + 0] = segment[i * 4 + 2]; // R
+      image[i * 4 + 1] = segment[i * 4 + 1]; // G
+      image[i * 4 + 2] = segment[i * 4 + 0]; // B
+      image[i * 4 + 3] = segment[i * 4 + 3]; // A
+    }
+    needles[offset] = {width, height, data: image, png: clampedRGBAToPngArrayBuffer(image, width, height)};
+  }
+
+  const digits = [];
+  for (let offset = 0; digitsConfig && offset < 12; offset++) {
+    const width = offset === 10 ? digitsConfig.dotWidth : digitsConfig.width;
+    const height = digitsConfig.height;
+    if (width * height > DIGIT_SEGMENT_SIZE) {
+      throw new Error(`Digit size ${width}x${height} does not fit into its segment.`);
+    }
+
+    const segment = new Uint8Array(buffer, DIGIT_SEGMENT_SIZE * offset + DIGITS_OFFSET, width * height);
+    if (segment.length === 0 || (options.detectEmptySlots && isEmptySlot(segment))) {
+      digits[offset] = null;
+      continue;
+    }
+
+    const image = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      // Invert back, opaque black was stored as 0xFF.
+      const value = 0xFF - segment[i];
+      image[i * 4 + 0] = value; // R
+      image[i * 4 + 1] = value; // G
+      image[i * 4 + 2] = value; // B
+      image[i * 4 + 3] = 0xFF; // A
+    }
+    digits[offset] = {width, height, data: image, png: clampedRGBAToPngArrayBuffer(image, width, height)};
+  }
+
+  return {needles, digits};
+}
+
+/**
+ * Decodes a background image and fits it to the size of its area.
+ *
+ * @param {ImageInput} rawPngData
+ * @param {number} width Expected width.
+ * @param {number} height Expected height.
+ * @param {{fit: (string|undefined), filter: (string|undefined)}} options
+ * @param {string} name Background name used in error messages.
+ *
+ * @returns {Uint8ClampedArray} RGBA image of the expected size.
+ * @throws {Error} Size differs and the fit mode is "reject".
+ */
+function loadBackground(rawPngData, width, height, options, name) {
+  const image = decodeImage(rawPngData);
+  try {
+    return fitImage(image.data, image.width, image.height, width, height, options);
+  } catch (e) {
+    throw new Error(`${name} background: ${e.message}`);
+  }
+}
+
+/**
+ * Expands a 5 or 6 bit color level to 8 bits the same way the display does.
+ *
+ * @param {number} level
+ * @param {number} bits
+ *
+ * @returns {number}
+ */
+function expandLevel(level, bits) {
+  return (level << (8 - bits)) | (level >> (2 * bits - 8));
+}
+
+/**
+ * Quantizes RGBA pixels to RGB565.
+ *
+ * Modes:
+ * - "truncate" - drop the low bits.
+ * - "round" - round to the nearest level.
+ * - "ordered" - 8x8 Bayer dithering.
+ * - "floyd-steinberg" - error diffusion.
+ *
+ * @param {Uint8ClampedArray} rgbaData
+ * @param {number} width
+ * @param {number} height
+ * @param {string} [mode] One of QUANTIZATION_MODES, "truncate" by default.
+ *
+ * @returns {{data: Uint16Array, psnr: number}} RGB565 pixels and PSNR in dB against the source, Infinity
+ *     if the image is reproduced exactly.
+ * @throws {Error} Mode must be known.
+ */
+export function quantizeToRgb565(rgbaData, width, height, mode = 'truncate') {
+  if (!QUANTIZATION_MODES.includes(mode)) {
+    throw new Error(`Unknown quantization mode "${mode}". Use one of ${QUANTIZATION_MODES.join(', ')}.`);
+  }
+
+  const pixels = width * height;
+  const bits = [5, 6, 5];
+  const output = new Uint16Array(pixels);
+  // Only error diffusion needs to modify source values.
+  const values = mode === 'floyd-steinberg' ? new Float32Array(pixels * 3) : null;
+  if (values) {
+    for (let i = 0; i < pixels; i++) {
+      values[i * 3 + 0] = rgbaData[i * 4 + 0];
+      values[i * 3 + 1] = rgbaData[i * 4 + 1];
+      values[i * 3 + 2] = rgbaData[i * 4 + 2];
     }
   }
 
-  // Images [3-14] are the digits.
-  for (let offset = 3; offset < 15; offset++) {
-    let segment = new DataView(outputBuffer, 2730 * (offset - 3) + 98304);
+  let squaredError = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const levels = [];
+
+      for (let c = 0; c < 3; c++) {
+        const maxLevel = (1 << bits[c]) - 1;
+        const value = values ? values[i * 3 + c] : rgbaData[i * 4 + c];
+        let level;
+        switch (mode) {
+          case 'truncate':
+            level = value >> (8 - bits[c]);
+            break;
+          case 'ordered': {
+            const threshold = (BAYER_MATRIX[(y % 8) * 8 + (x % 8)] + 0.5) / 64 - 0.5;
+            level = Math.round(value * maxLevel / 255 + threshold);
+            break;
+          }
+          default:
+            level = Math.round(value * maxLevel / 255);
+        }
+        level = Math.min(maxLevel, Math.max(0, level));
+        levels.push(level);
 
-    if (imageArray[offset] !== undefined) {
-      const image = imageArray[offset];
+        const shown = expandLevel(level, bits[c]);
+        squaredError += (rgbaData[i * 4 + c] - shown) ** 2;
 
-      const pixels = image.length / 4;
-      if (pixels <= 2730) {
-        for (let i = 0; i < pixels; i++) {
-          // R (on grayscale image, R, G and B should have the same value), invert because
-          // black shall be opaque and white shall be transparent
-          segment.setUint8(i, 0xFF - image[i * 4]);
+        if (values) {
+          const error = value - shown;
+          if (x + 1 < width) {
+            values[(i + 1) * 3 + c] += error * 7 / 16;
+          }
+          if (y + 1 < height) {
+            if (x > 0) {
+              values[(i + width - 1) * 3 + c] += error * 3 / 16;
+            }
+            values[(i + width) * 3 + c] += error * 5 / 16;
+            if (x + 1 < width) {
+              values[(i + width + 1) * 3 + c] += error * 1 / 16;
+            }
+          }
         }
       }
+
+      output[i] = (levels[0] << 11) | (levels[1] << 5) | levels[2];
     }
   }
 
-  return outputBuffer;
+  const meanSquaredError = squaredError / (pixels * 3);
+  return {
+    data: output,
+    psnr: meanSquaredError === 0 ? Infinity : 10 * Math.log10((255 * 255) / meanSquaredError),
+  };
+}
+
+/**
+ * Blurs one color channel of an image with a box filter, the same way the eye merges neighbouring pixels.
+ *
+ * @param {function(number): number} channel Returns the channel value of a pixel index.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius Filter radius in pixels.
+ *
+ * @returns {Float32Array} Blurred channel values.
+ */
+function boxBlur(channel, width, height, radius) {
+  const horizontal = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let dx = Math.max(0, x - radius); dx <= Math.min(width - 1, x + radius); dx++, count++) {
+        sum += channel(y * width + dx);
+      }
+      horizontal[y * width + x] = sum / count;
+    }
+  }
+  const blurred = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = Math.max(0, y - radius); dy <= Math.min(height - 1, y + radius); dy++, count++) {
+        sum += horizontal[dy * width + x];
+      }
+      blurred[y * width + x] = sum / count;
+    }
+  }
+  return blurred;
+}
+
+/**
+ * Calculates the PSNR of a quantized image after blurring it and the source.
+ *
+ * Dithering noise averages out in the blur while banding, the steps between flat areas of a gradient,
+ * remains. This is closer to what is seen on the display than the plain PSNR, which counts dithering noise
+ * as error.
+ *
+ * @param {Uint8ClampedArray} rgbaData Source pixels.
+ * @param {Uint16Array} pixels RGB565 pixels.
+ * @param {number} width
+ * @param {number} height
+ *
+ * @returns {number} PSNR in dB, Infinity if the blurred images are equal.
+ */
+function smoothedPsnr(rgbaData, pixels, width, height) {
+  const shifts = [11, 5, 0];
+  const bits = [5, 6, 5];
+  let squaredError = 0;
+  for (let c = 0; c < 3; c++) {
+    const source = boxBlur((i) => rgbaData[i * 4 + c], width, height, SMOOTHING_RADIUS);
+    const shown = boxBlur((i) => expandLevel((pixels[i] >> shifts[c]) & ((1 << bits[c]) - 1), bits[c]),
+      width, height, SMOOTHING_RADIUS);
+    for (let i = 0; i < source.length; i++) {
+      squaredError += (source[i] - shown[i]) ** 2;
+    }
+  }
+  const meanSquaredError = squaredError / (width * height * 3);
+  return meanSquaredError === 0 ? Infinity : 10 * Math.log10((255 * 255) / meanSquaredError);
+}
+
+/**
+ * Quantizes an image with every mode, so the best looking one can be picked.
+ *
+ * Modes are ranked by the smoothed PSNR, which measures banding in gradients rather than the pixel noise
+ * dithering adds. The plain PSNR is returned as well and favours the modes without dithering.
+ *
+ * @param {ImageInput} rawPngData
+ * @param {{fit: (string|undefined), filter: (string|undefined)}} [options] Fit options, if the image should
+ *     be measured as a gauges (800x480) background. Image is measured as is if omitted.
+ *
+ * @returns {Array<{mode: string, psnr: number, smoothedPsnr: number}>} PSNR and smoothed PSNR in dB per
+ *     mode, best first.
+ */
+export function compareQuantizationModes(rawPngData, options) {
+  let width = GAUGES_BACKGROUND_WIDTH;
+  let height = GAUGES_BACKGROUND_HEIGHT;
+  let image;
+  if (options) {
+    image = loadBackground(rawPngData, width, height, options, 'Gauges');
+  } else {
+    ({width, height, data: image} = decodeImage(rawPngData));
+  }
+
+  return QUANTIZATION_MODES
+    .map((mode) => {
+      const {data, psnr} = quantizeToRgb565(image, width, height, mode);
+      return {mode, psnr, smoothedPsnr: smoothedPsnr(image, data, width, height)};
+    })
+    .sort((a, b) => (b.smoothedPsnr - a.smoothedPsnr) || (b.psnr - a.psnr));
 }
 
 /**
  * Converts background images into a single binary object.
  *
- * @param {ArrayBuffer} gaugesBackground
- * @param {ArrayBuffer} [tablesBackground]
+ * Images of a different size are rejected, unless a fit mode is chosen: "crop", "letterbox" or "scale"
+ * (see fitImage). Colors are truncated to RGB565, unless another quantization mode is chosen (see
+ * quantizeToRgb565).
+ *
+ * @param {ImageInput} gaugesBackground 800x480 image.
+ * @param {ImageInput} [tablesBackground] 96x96 image.
+ * @param {{fit: (string|undefined), filter: (string|undefined), quantization: (string|undefined)}} [options]
+ *     Fit mode, resampling filter and quantization mode.
  *
  * @returns {ArrayBuffer} A buffer that can be loaded into FIS-Control as "background".
- * @throws {Error} Gauges background must be provided.
+ * @throws {Error} Gauges background must be provided and images must fit.
  */
-export function convertBackgrounds(gaugesBackground, tablesBackground) {
+export function convertBackgrounds(gaugesBackground, tablesBackground, options = {}) {
   if (gaugesBackground === undefined) {
     throw new Error('Gauges background has to be provided!');
   }
 
-  const gaugesImage = rawPngArrayBufferToClampedRGBA(gaugesBackground);
-  let outputBuffer = new ArrayBuffer(786432); // 128 * 1024 * 6
+  const gaugesImage = loadBackground(
+    gaugesBackground, GAUGES_BACKGROUND_WIDTH, GAUGES_BACKGROUND_HEIGHT, options, 'Gauges');
+  let outputBuffer = new ArrayBuffer(BACKGROUND_SIZE);
   let outputView = new DataView(outputBuffer);
 
-  for (let i = 0; i < (800 * 480); i++) {
-    let rgb = (gaugesImage[i * 4 + 0] >> 3) << 11; // R
-    rgb |= (gaugesImage[i * 4 + 1] >> 2) << 5; // G
-    rgb |= gaugesImage[i * 4 + 2] >> 3; // B
-    outputView.setUint16(i * 2, rgb, true);
+  const gaugesPixels = quantizeToRgb565(
+    gaugesImage, GAUGES_BACKGROUND_WIDTH, GAUGES_BACKGROUND_HEIGHT, options.quantization).data;
+  for (let i = 0; i < gaugesPixels.length; i++) {
+    outputView.setUint16(i * 2, gaugesPixels[i], true);
   }
 
   if (tablesBackground !== undefined) {
-    const tablesImage = rawPngArrayBufferToClampedRGBA(tablesBackground);
+    const tablesImage = loadBackground(
+      tablesBackground, TABLES_BACKGROUND_WIDTH, TABLES_BACKGROUND_HEIGHT, options, 'Tables');
 
-    for (let i = 0; i < (96 * 96); i++) {
-      let rgb = (tablesImage[i * 4 + 0] >> 3) << 11; // R
-      rgb |= (tablesImage[i * 4 + 1] >> 2) << 5; // G
-      rgb |= tablesImage[i * 4 + 2] >> 3; // B
-      outputView.setUint16(i * 2 + 768000, rgb, true);
+    const tablesPixels = quantizeToRgb565(
+      tablesImage, TABLES_BACKGROUND_WIDTH, TABLES_BACKGROUND_HEIGHT, options.quantization).data;
+    for (let i = 0; i < tablesPixels.length; i++) {
+      outputView.setUint16(i * 2 + TABLES_BACKGROUND_OFFSET, tablesPixels[i], true);
     }
   }
 
   return outputBuffer;
 }
+
+/**
+ * Converts a "background" binary object back into PNG images.
+ *
+ * @param {ArrayBuffer} buffer Binary data created by convertBackgrounds.
+ *
+ * @returns {{gaugesBackground: ArrayBuffer, tablesBackground: ArrayBuffer}} 800x480 gauges and
+ *     96x96 tables PNG images.
+ * @throws {Error} Valid background binary must be provided.
+ */
+export function convertBinaryToBackgrounds(buffer) {
+  if (!buffer || !(buffer instanceof ArrayBuffer) || buffer.byteLength !== BACKGROUND_SIZE) {
+    throw new Error('Invalid background binary data provided.');
+  }
+
+  const inputView = new DataView(buffer);
+  const gaugesImage = rgb565ToClampedRGBA(
+    inputView, 0, GAUGES_BACKGROUND_WIDTH * GAUGES_BACKGROUND_HEIGHT);
+  const tablesImage = rgb565ToClampedRGBA(
+    inputView, TABLES_BACKGROUND_OFFSET, TABLES_BACKGROUND_WIDTH * TABLES_BACKGROUND_HEIGHT);
+
+  return {
+    gaugesBackground: clampedRGBAToPngArrayBuffer(
+      gaugesImage, GAUGES_BACKGROUND_WIDTH, GAUGES_BACKGROUND_HEIGHT),
+    tablesBackground: clampedRGBAToPngArrayBuffer(
+      tablesImage, TABLES_BACKGROUND_WIDTH, TABLES_BACKGROUND_HEIGHT),
+  };
+}
@@ -0,0 +1,61 @@
+export type FitMode = 'reject' | 'crop' | 'letterbox' | 'scale';
+export type ResamplingFilter = 'nearest' | 'bilinear' | 'lanczos3';
+
+export type FitOptions = {
+  fit?: FitMode;
+  filter?: ResamplingFilter;
+};
+
+export const FIT_MODES: ReadonlyArray<FitMode>;
+export const RESAMPLING_FILTERS: ReadonlyArray<ResamplingFilter>;
+
+/**
+ * Resizes an RGBA image with a separable resampling filter.
+ *
+ * @param {Uint8ClampedArray} rgbaData
+ * @param {number} width
+ * @param {number} height
+ * @param {number} targetWidth
+ * @param {number} targetHeight
+ * @param {string} [filterName] One of RESAMPLING_FILTERS, "lanczos3" by default.
+ *
+ * @returns {Uint8ClampedArray} Resized RGBA image.
+ * @throws {Error} Filter must be known.
+ */
+export function resampleImage(
+  rgbaData: Uint8ClampedArray,
+  width: number,
+  height: number,
+  targetWidth: number,
+  targetHeight: number,
+  filterName?: ResamplingFilter
+): Uint8ClampedArray;
+
+/**
+ * Fits an RGBA image to an exact size.
+ *
+ * Fit modes:
+ * - "reject" - throw if the size differs.
+ * - "crop" - keep the center, pad smaller images with black.
+ * - "letterbox" - scale to fit inside keeping the aspect ratio, pad with black.
+ * - "scale" - stretch to the exact size.
+ *
+ * @param {Uint8ClampedArray} rgbaData
+ * @param {number} width
+ * @param {number} height
+ * @param {number} targetWidth
+ * @param {number} targetHeight
+ * @param {{fit: (string|undefined), filter: (string|undefined)}} [options] Fit mode, "reject" by default,
+ *     and resampling filter for "letterbox" and "scale".
+ *
+ * @returns {Uint8ClampedArray} RGBA image of the target size.
+ * @throws {Error} Size differs in "reject" mode or the mode is unknown.
+ */
+export function fitImage(
+  rgbaData: Uint8ClampedArray,
+  width: number,
+  height: number,
+  targetWidth: number,
+  targetHeight: number,
+  options?: FitOptions
+): Uint8ClampedArray;
@@ -0,0 +1,202 @@
+/**
+ * @file Resampling and fitting of RGBA images to the fixed sizes the device expects.
+ */
+
+"use strict";
+
+/**
+ * Normalized sinc function.
+ *
+ * @param {number} x
+ *
+ * @returns {number}
+ */
+function sinc(x) {
+  if (x === 0) {
+    return 1;
+  }
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+/**
+ * Resampling filters, with support radius and kernel function.
+ *
+ * @type {Object.<string, {support: number, kernel: function(number): number}>}
+ */
+const FILTERS = {
+  nearest: {support: 0.5, kernel: (x) => (x >= -0.5 && x < 0.5 ? 1 : 0)},
+  bilinear: {support: 1, kernel: (x) => Math.max(0, 1 - Math.abs(x))},
+  lanczos3: {support: 3, kernel: (x) => (Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0)},
+};
+
+export const FIT_MODES = Object.freeze(['reject', 'crop', 'letterbox', 'scale']);
+export const RESAMPLING_FILTERS = Object.freeze(Object.keys(FILTERS));
+
+/**
+ * Calculates source pixel weights for every destination pixel along one axis.
+ *
+ * When downscaling, the filter is stretched so every source pixel contributes.
+ *
+ * @param {number} sourceSize
+ * @param {number} targetSize
+ * @param {{support: number, kernel: function(number): number}} filter
+ *
+ * @returns {Array<{start: number, weights: Float32Array}>}
+ */
+function calculateWeights(sourceSize, targetSize, filter) {
+  const scale = sourceSize / targetSize;
+  const filterScale = Math.max(1, scale);
+  const support = filter.support * filterScale;
+  const contributions = [];
+
+  for (let i = 0; i < targetSize; i++) {
+    const center = (i + 0.5) * scale;
+    const start = Math.max(0, Math.floor(center - support));
+    const end = Math.min(sourceSize, Math.ceil(center + support));
+    const weights = new Float32Array(Math.max(1, end - start));
+    let sum = 0;
+    for (let j = start; j < end; j++) {
+      const weight = filter.kernel((j + 0.5 - center) / filterScale);
+      weights[j - start] = weight;
+      sum += weight;
+    }
+    if (sum === 0) {
+      // Nearest neighbour fallback for degenerate kernels.
+      weights.fill(0);
+      weights[Math.min(weights.length - 1, Math.floor(center) - start)] = 1;
+      sum = 1;
+    }
+    for (let j = 0; j < weights.length; j++) {
+      weights[j] /= sum;
+    }
+    contributions.push({start, weights});
+  }
+  return contributions;
+}
+
+/**
+ * Resizes an RGBA image with a separable resampling filter.
+ *
+ * @param {Uint8ClampedArray} rgbaData
+ * @param {number} width
+ * @param {number} height
+ * @param {number} targetWidth
+ * @param {number} targetHeight
+ * @param {string} [filterName] One of RESAMPLING_FILTERS, "lanczos3" by default.
+ *
+ * @returns {Uint8ClampedArray} Resized RGBA image.
+ * @throws {Error} Filter must be known.
+ */
+export function resampleImage(rgbaData, width, height, targetWidth, targetHeight, filterName = 'lanczos3') {
+  const filter = FILTERS[filterName];
+  if (!filter) {
+    throw new Error(`Unknown resampling filter "${filterName}". Use one of ${RESAMPLING_FILTERS.join(', ')}.`);
+  }
+
+  // Horizontal pass into a float buffer, so the vertical pass doesn't accumulate rounding errors.
+  const horizontalWeights = calculateWeights(width, targetWidth, filter);
+  const intermediate = new Float32Array(targetWidth * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < targetWidth; x++) {
+      const {start, weights} = horizontalWeights[x];
+      for (let c = 0; c < 4; c++) {
+        let value = 0;
+        for (let k = 0; k < weights.length; k++) {
+          value += rgbaData[((y * width) + start + k) * 4 + c] * weights[k];
+        }
+        intermediate[((y * targetWidth) + x) * 4 + c] = value;
+      }
+    }
+  }
+
+  const verticalWeights = calculateWeights(height, targetHeight, filter);
+  const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+  for (let y = 0; y < targetHeight; y++) {
+    const {start, weights} = verticalWeights[y];
+    for (let x = 0; x < targetWidth; x++) {
+      for (let c = 0; c < 4; c++) {
+        let value = 0;
+        for (let k = 0; k < weights.length; k++) {
+          value += intermediate[(((start + k) * targetWidth) + x) * 4 + c] * weights[k];
+        }
+        output[((y * targetWidth) + x) * 4 + c] = Math.round(value);
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Copies an image into a larger or smaller canvas, centered. Uncovered pixels are opaque black.
+ *
+ * @param {Uint8ClampedArray} rgbaData
+ * @param {number} width
+ * @param {number} height
+ * @param {number} targetWidth
+ * @param {number} targetHeight
+ *
+ * @returns {Uint8ClampedArray}
+ */
+function centerImage(rgbaData, width, height, targetWidth, targetHeight) {
+  const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+  for (let i = 0; i < targetWidth * targetHeight; i++) {
+    output[i * 4 + 3] = 0xFF;
+  }
+
+  const offsetX = Math.floor((targetWidth - width) / 2);
+  const offsetY = Math.floor((targetHeight - height) / 2);
+  for (let y = Math.max(0, offsetY); y < Math.min(targetHeight, offsetY + height); y++) {
+    const sourceStart = ((y - offsetY) * width + Math.max(0, -offsetX)) * 4;
+    const columns = Math.min(targetWidth, offsetX + width) - Math.max(0, offsetX);
+    output.set(rgbaData.subarray(sourceStart, sourceStart + columns * 4),
+      (y * targetWidth + Math.max(0, offsetX)) * 4);
+  }
+  return output;
+}
+
+/**
+ * Fits an RGBA image to an exact size.
+ *
+ * Fit modes:
+ * - "reject" - throw if the size differs.
+ * - "crop" - keep the center, pad smaller images with black.
+ * - "letterbox" - scale to fit inside keeping the aspect ratio, pad with black.
+ * - "scale" - stretch to the exact size.
+ *
+ * @param {Uint8ClampedArray} rgbaData
+ * @param {number} width
+ * @param {number} height
+ * @param {number} targetWidth
+ * @param {number} targetHeight
+ * @param {{fit: (string|undefined), filter: (string|undefined)}} [options] Fit mode, "reject" by default,
+ *     and resampling filter for "letterbox" and "scale".
+ *
+ * @returns {Uint8ClampedArray} RGBA image of the target size.
+ * @throws {Error} Size differs in "reject" mode or the mode is unknown.
+ */
+export function fitImage(rgbaData, width, height, targetWidth, targetHeight, options = {}) {
+  const fit = options.fit || 'reject';
+  if (!FIT_MODES.includes(fit)) {
+    throw new Error(`Unknown fit mode "${fit}". Use one of ${FIT_MODES.join(', ')}.`);
+  }
+  if (width === targetWidth && height === targetHeight) {
+    return rgbaData;
+  }
+
+  switch (fit) {
+    case 'crop':
+      return centerImage(rgbaData, width, height, targetWidth, targetHeight);
+    case 'letterbox': {
+      const scale = Math.min(targetWidth / width, targetHeight / height);
+      const scaledWidth = Math.max(1, Math.round(width * scale));
+      const scaledHeight = Math.max(1, Math.round(height * scale));
+      const scaled = resampleImage(rgbaData, width, height, scaledWidth, scaledHeight, options.filter);
+      return centerImage(scaled, scaledWidth, scaledHeight, targetWidth, targetHeight);
+    }
+    case 'scale':
+      return resampleImage(rgbaData, width, height, targetWidth, targetHeight, options.filter);
+    default:
+      throw new Error(`Image is ${width}x${height}, expected ${targetWidth}x${targetHeight}.`);
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Image accepted by the converters:
+ * - PNG or uncompressed BMP file as ArrayBuffer, Uint8Array or Node Buffer,
+ * - raw RGBA pixels with explicit size, like browser ImageData or {width, height, data}.
+ */
+export type ImageInput = ArrayBuffer | ArrayBufferView | {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray | Uint8Array | ArrayBuffer;
+};
+
+/**
+ * Decodes any supported image input into RGBA pixels.
+ *
+ * Raw RGBA inputs are used as they are, without copying the pixels.
+ *
+ * @param {ImageInput} input
+ *
+ * @returns {RgbaImage}
+ * @throws {Error} Input must be a PNG or BMP file, or raw RGBA data matching its size.
+ */
+export function decodeImage(input: ImageInput): RgbaImage;
+
+import {RgbaImage} from './preview-drawing.js';
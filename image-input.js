@@ -0,0 +1,194 @@
+/**
+ * @file Decoding of the image inputs accepted by the converters: PNG and BMP files, raw RGBA and ImageData.
+ */
+
+"use strict";
+
+import {UPNG} from './libs/UPNG.js';
+
+/**
+ * Image accepted by the converters:
+ * - PNG or uncompressed BMP file as ArrayBuffer, Uint8Array or Node Buffer,
+ * - raw RGBA pixels with explicit size, like browser ImageData or {width, height, data}.
+ *
+ * @typedef {ArrayBuffer|ArrayBufferView|{width: number, height: number,
+ *     data: (Uint8ClampedArray|Uint8Array|ArrayBuffer)}} ImageInput
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// BMP compression methods.
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+/**
+ * Returns the bytes of a binary input without copying them.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} input
+ *
+ * @returns {Uint8Array}
+ */
+function toBytes(input) {
+  if (input instanceof ArrayBuffer) {
+    return new Uint8Array(input);
+  }
+  return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+}
+
+/**
+ * Decodes a PNG file.
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @returns {RgbaImage}
+ */
+function decodePng(bytes) {
+  const image = UPNG.decode(bytes);
+  return {width: image.width, height: image.height, data: new Uint8ClampedArray(UPNG.toRGBA8(image)[0])};
+}
+
+/**
+ * Splits a BMP channel mask into shift and maximum value.
+ *
+ * @param {number} mask
+ *
+ * @returns {{mask: number, shift: number, max: number}}
+ */
+function maskChannel(mask) {
+  if (mask === 0) {
+    return {mask, shift: 0, max: 0};
+  }
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) {
+    shift++;
+  }
+  return {mask, shift, max: mask >>> shift};
+}
+
+/**
+ * Decodes an uncompressed BMP file with 1, 4, 8, 16, 24 or 32 bits per pixel.
+ *
+ * Alpha is only read from 16 and 32 bit images with an alpha mask, everything else is opaque.
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @returns {RgbaImage}
+ * @throws {Error} Compressed and malformed files are rejected.
+ */
+function decodeBmp(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < 26) {
+    throw new Error('BMP file is truncated.');
+  }
+  const pixelOffset = view.getUint32(10, true);
+  const headerSize = view.getUint32(14, true);
+  const core = headerSize === 12;
+  const width = core ? view.getUint16(18, true) : view.getInt32(18, true);
+  const storedHeight = core ? view.getInt16(20, true) : view.getInt32(22, true);
+  const bitsPerPixel = view.getUint16(core ? 24 : 28, true);
+  const compression = core ? BI_RGB : view.getUint32(30, true);
+  const height = Math.abs(storedHeight);
+  const topDown = storedHeight < 0;
+
+  if (![1, 4, 8, 16, 24, 32].includes(bitsPerPixel)) {
+    throw new Error(`Unsupported BMP bit depth ${bitsPerPixel}.`);
+  }
+  if (![BI_RGB, BI_BITFIELDS, BI_ALPHABITFIELDS].includes(compression)) {
+    throw new Error(`Compressed BMP files are not supported (compression ${compression}).`);
+  }
+  if (width <= 0 || height === 0) {
+    throw new Error(`Invalid BMP size ${width}x${storedHeight}.`);
+  }
+
+  // Channel masks of 16 and 32 bit images: defaults, then masks from the header or right after it.
+  let masks = bitsPerPixel === 16
+    ? [0x7C00, 0x03E0, 0x001F, 0]
+    : [0x00FF0000, 0x0000FF00, 0x000000FF, 0];
+  if (compression !== BI_RGB) {
+    const count = compression === BI_ALPHABITFIELDS || headerSize >= 56 ? 4 : 3;
+    masks = [0, 1, 2, 3].map((i) => (i < count ? view.getUint32(54 + i * 4, true) : 0));
+  }
+  const channels = masks.map(maskChannel);
+
+  // Color table of palette images.
+  const palette = [];
+  if (bitsPerPixel <= 8) {
+    const entrySize = core ? 3 : 4;
+    const colorsUsed = core ? 0 : view.getUint32(46, true);
+    const colors = colorsUsed || (1 << bitsPerPixel);
+    for (let i = 0; i < colors; i++) {
+      const offset = 14 + headerSize + i * entrySize;
+      palette.push([bytes[offset + 2], bytes[offset + 1], bytes[offset]]);
+    }
+  }
+
+  const rowSize = Math.ceil(width * bitsPerPixel / 32) * 4;
+  if (pixelOffset + rowSize * height > bytes.byteLength) {
+    throw new Error('BMP file is truncated.');
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const rowOffset = pixelOffset + (topDown ? y : height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      let rgba;
+      if (bitsPerPixel <= 8) {
+        const bitOffset = x * bitsPerPixel;
+        const byte = bytes[rowOffset + (bitOffset >> 3)];
+        const index = (byte >> (8 - bitsPerPixel - (bitOffset & 7))) & ((1 << bitsPerPixel) - 1);
+        rgba = [...(palette[index] || [0, 0, 0]), 0xFF];
+      } else if (bitsPerPixel === 24) {
+        const offset = rowOffset + x * 3;
+        rgba = [bytes[offset + 2], bytes[offset + 1], bytes[offset], 0xFF];
+      } else {
+        const value = bitsPerPixel === 16
+          ? view.getUint16(rowOffset + x * 2, true)
+          : view.getUint32(rowOffset + x * 4, true);
+        rgba = channels.map(({mask, shift, max}, c) => {
+          if (max === 0) {
+            return c === 3 ? 0xFF : 0;
+          }
+          return Math.round(((value & mask) >>> shift) * 0xFF / max);
+        });
+      }
+      data.set(rgba, (y * width + x) * 4);
+    }
+  }
+  return {width, height, data};
+}
+
+/**
+ * Decodes any supported image input into RGBA pixels.
+ *
+ * Raw RGBA inputs are used as they are, without copying the pixels.
+ *
+ * @param {ImageInput} input
+ *
+ * @returns {RgbaImage}
+ * @throws {Error} Input must be a PNG or BMP file, or raw RGBA data matching its size.
+ */
+export function decodeImage(input) {
+  if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+    const bytes = toBytes(input);
+    if (PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+      return decodePng(bytes);
+    }
+    if (bytes[0] === 0x42 && bytes[1] === 0x4D) { // "BM"
+      return decodeBmp(bytes);
+    }
+    throw new Error('Unknown image format, expected a PNG or BMP file.');
+  }
+
+  if (input && Number.isInteger(input.width) && Number.isInteger(input.height) && input.data) {
+    const {width, height} = input;
+    const bytes = toBytes(input.data);
+    if (bytes.length !== width * height * 4) {
+      throw new Error(`RGBA data of a ${width}x${height} image has ${bytes.length} bytes, expected `
+        + `${width * height * 4}.`);
+    }
+    return {width, height, data: new Uint8ClampedArray(bytes.buffer, bytes.byteOffset, bytes.byteLength)};
+  }
+
+  throw new Error('Unsupported image input, expected a PNG or BMP file, ImageData or {width, height, data}.');
+}
@@ -1,3 +1,4 @@
+import pako from './pako.js';
 
 export var UPNG = {};
 
@@ -810,7 +811,7 @@ UPNG.encode._filterZero = function(img,h,bpp,bpl,data, filter, levelZero)
 	var opts;  if(levelZero) opts={level:0};
 	
 	
-	var CMPR = (data.length>10e6 && UZIP!=null) ? UZIP : pako;
+	var CMPR = pako;
 	
 	var time = Date.now();
 	for(var i=0; i<ftry.length; i++) {
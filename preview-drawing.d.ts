@@ -0,0 +1,90 @@
+export type RgbaImage = {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray;
+};
+
+/**
+ * Converts a color in HTML hex format into RGB components.
+ *
+ * @param {string} color Color in HTML hex format ("#123456").
+ *
+ * @returns {[number, number, number]} [r, g, b] tuple.
+ * @throws {Error} Color must be valid.
+ */
+export function parseHexColor(color: string): [number, number, number];
+
+/**
+ * Creates an opaque image filled with one color.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {string} color Color in HTML hex format ("#123456").
+ *
+ * @returns {RgbaImage}
+ */
+export function createImage(width: number, height: number, color: string): RgbaImage;
+
+/**
+ * Fills a rectangle with one color.
+ *
+ * @param {RgbaImage} target Modified in place.
+ * @param {number} x Left edge in the target.
+ * @param {number} y Top edge in the target.
+ * @param {number} width
+ * @param {number} height
+ * @param {string} color Color in HTML hex format ("#123456").
+ * @param {number} [alpha] Opacity, 0-255, opaque by default.
+ */
+export function fillRect(
+  target: RgbaImage,
+  x: number,
+  y: number,
+  width: number,
+  height: number,
+  color: string,
+  alpha?: number
+): void;
+
+/**
+ * Draws an RGBA image over the target image, respecting its alpha channel.
+ *
+ * @param {RgbaImage} target Modified in place.
+ * @param {RgbaImage} image
+ * @param {number} x Left edge in the target.
+ * @param {number} y Top edge in the target.
+ */
+export function drawImage(target: RgbaImage, image: RgbaImage, x: number, y: number): void;
+
+/**
+ * Draws a grayscale glyph in one color, like the firmware does with digit images: black is opaque and
+ * white is transparent.
+ *
+ * @param {RgbaImage} target Modified in place.
+ * @param {RgbaImage} glyph Grayscale image, only the red channel is used.
+ * @param {number} x Left edge in the target.
+ * @param {number} y Top edge in the target.
+ * @param {string} color Color in HTML hex format ("#123456").
+ */
+export function drawGlyph(target: RgbaImage, glyph: RgbaImage, x: number, y: number, color: string): void;
+
+/**
+ * Draws an image rotated around a pivot point.
+ *
+ * @param {RgbaImage} target Modified in place.
+ * @param {RgbaImage} image
+ * @param {number} pivotX Rotation center in the image.
+ * @param {number} pivotY Rotation center in the image.
+ * @param {number} x Position of the pivot in the target.
+ * @param {number} y Position of the pivot in the target.
+ * @param {number} angle Clockwise rotation in degrees, 0 draws the image as it is.
+ */
+export function drawRotatedImage(
+  target: RgbaImage,
+  image: RgbaImage,
+  pivotX: number,
+  pivotY: number,
+  x: number,
+  y: number,
+  angle: number
+): void;
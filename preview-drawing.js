@@ -0,0 +1,211 @@
+/**
+ * @file Minimal RGBA drawing helpers for the offline screen previews.
+ */
+
+"use strict";
+
+/**
+ * @typedef {{width: number, height: number, data: Uint8ClampedArray}} RgbaImage
+ */
+
+/**
+ * Converts a color in HTML hex format into RGB components.
+ *
+ * @param {string} color Color in HTML hex format ("#123456").
+ *
+ * @returns {[number, number, number]} [r, g, b] tuple.
+ * @throws {Error} Color must be valid.
+ */
+export function parseHexColor(color) {
+  if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+    throw new Error(`Invalid color "${color}".`);
+  }
+  const value = parseInt(color.substr(1, 6), 16);
+  return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Creates an opaque image filled with one color.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {string} color Color in HTML hex format ("#123456").
+ *
+ * @returns {RgbaImage}
+ */
+export function createImage(width, height, color) {
+  const [r, g, b] = parseHexColor(color);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([r, g, b, 0xFF], i * 4);
+  }
+  return {width, height, data};
+}
+
+/**
+ * Blends one color over a pixel of the target image. Pixels outside of the image are ignored.
+ *
+ * @param {RgbaImage} target
+ * @param {number} x
+ * @param {number} y
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @param {number} alpha Opacity, 0-255.
+ */
+function blendPixel(target, x, y, r, g, b, alpha) {
+  if (alpha <= 0 || x < 0 || y < 0 || x >= target.width || y >= target.height) {
+    return;
+  }
+  const index = (y * target.width + x) * 4;
+  const data = target.data;
+  const sourceAlpha = alpha / 0xFF;
+  const targetAlpha = data[index + 3] / 0xFF;
+  const outputAlpha = sourceAlpha + targetAlpha * (1 - sourceAlpha);
+  const mix = (source, destination) =>
+    (source * sourceAlpha + destination * targetAlpha * (1 - sourceAlpha)) / outputAlpha;
+  data[index] = mix(r, data[index]);
+  data[index + 1] = mix(g, data[index + 1]);
+  data[index + 2] = mix(b, data[index + 2]);
+  data[index + 3] = outputAlpha * 0xFF;
+}
+
+/**
+ * Fills a rectangle with one color.
+ *
+ * @param {RgbaImage} target Modified in place.
+ * @param {number} x Left edge in the target.
+ * @param {number} y Top edge in the target.
+ * @param {number} width
+ * @param {number} height
+ * @param {string} color Color in HTML hex format ("#123456").
+ * @param {number} [alpha] Opacity, 0-255, opaque by default.
+ */
+export function fillRect(target, x, y, width, height, color, alpha = 0xFF) {
+  const [r, g, b] = parseHexColor(color);
+  x = Math.round(x);
+  y = Math.round(y);
+  for (let row = y; row < y + height; row++) {
+    for (let column = x; column < x + width; column++) {
+      blendPixel(target, column, row, r, g, b, alpha);
+    }
+  }
+}
+
+/**
+ * Draws an RGBA image over the target image, respecting its alpha channel.
+ *
+ * @param {RgbaImage} target Modified in place.
+ * @param {RgbaImage} image
+ * @param {number} x Left edge in the target.
+ * @param {number} y Top edge in the target.
+ */
+export function drawImage(target, image, x, y) {
+  x = Math.round(x);
+  y = Math.round(y);
+  for (let row = 0; row < image.height; row++) {
+    for (let column = 0; column < image.width; column++) {
+      const index = (row * image.width + column) * 4;
+      blendPixel(target, x + column, y + row, image.data[index], image.data[index + 1], image.data[index + 2],
+        image.data[index + 3]);
+    }
+  }
+}
+
+/**
+ * Draws a grayscale glyph in one color, like the firmware does with digit images: black is opaque and
+ * white is transparent.
+ *
+ * @param {RgbaImage} target Modified in place.
+ * @param {RgbaImage} glyph Grayscale image, only the red channel is used.
+ * @param {number} x Left edge in the target.
+ * @param {number} y Top edge in the target.
+ * @param {string} color Color in HTML hex format ("#123456").
+ */
+export function drawGlyph(target, glyph, x, y, color) {
+  const [r, g, b] = parseHexColor(color);
+  x = Math.round(x);
+  y = Math.round(y);
+  for (let row = 0; row < glyph.height; row++) {
+    for (let column = 0; column < glyph.width; column++) {
+      blendPixel(target, x + column, y + row, r, g, b, 0xFF - glyph.data[(row * glyph.width + column) * 4]);
+    }
+  }
+}
+
+/**
+ * Samples an image with bilinear interpolation on premultiplied colors, so transparent pixels don't bleed
+ * into the edges. Samples outside of the image are transparent.
+ *
+ * @param {RgbaImage} image
+ * @param {number} x
+ * @param {number} y
+ *
+ * @returns {[number, number, number, number]} Premultiplied [r, g, b, a] tuple.
+ */
+function samplePremultiplied(image, x, y) {
+  const left = Math.floor(x - 0.5);
+  const top = Math.floor(y - 0.5);
+  const fractionX = x - 0.5 - left;
+  const fractionY = y - 0.5 - top;
+  const result = [0, 0, 0, 0];
+  for (const [column, row, weight] of [
+    [left, top, (1 - fractionX) * (1 - fractionY)],
+    [left + 1, top, fractionX * (1 - fractionY)],
+    [left, top + 1, (1 - fractionX) * fractionY],
+    [left + 1, top + 1, fractionX * fractionY],
+  ]) {
+    if (weight === 0 || column < 0 || row < 0 || column >= image.width || row >= image.height) {
+      continue;
+    }
+    const index = (row * image.width + column) * 4;
+    const alpha = image.data[index + 3] / 0xFF;
+    result[0] += image.data[index] * alpha * weight;
+    result[1] += image.data[index + 1] * alpha * weight;
+    result[2] += image.data[index + 2] * alpha * weight;
+    result[3] += image.data[index + 3] * weight;
+  }
+  return result;
+}
+
+/**
+ * Draws an image rotated around a pivot point.
+ *
+ * @param {RgbaImage} target Modified in place.
+ * @param {RgbaImage} image
+ * @param {number} pivotX Rotation center in the image.
+ * @param {number} pivotY Rotation center in the image.
+ * @param {number} x Position of the pivot in the target.
+ * @param {number} y Position of the pivot in the target.
+ * @param {number} angle Clockwise rotation in degrees, 0 draws the image as it is.
+ */
+export function drawRotatedImage(target, image, pivotX, pivotY, x, y, angle) {
+  const radians = angle * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+
+  // Bounding box of the rotated image in the target.
+  const corners = [[0, 0], [image.width, 0], [0, image.height], [image.width, image.height]].map(([cx, cy]) => [
+    x + (cx - pivotX) * cos - (cy - pivotY) * sin,
+    y + (cx - pivotX) * sin + (cy - pivotY) * cos,
+  ]);
+  const left = Math.max(0, Math.floor(Math.min(...corners.map((corner) => corner[0]))));
+  const right = Math.min(target.width, Math.ceil(Math.max(...corners.map((corner) => corner[0]))));
+  const top = Math.max(0, Math.floor(Math.min(...corners.map((corner) => corner[1]))));
+  const bottom = Math.min(target.height, Math.ceil(Math.max(...corners.map((corner) => corner[1]))));
+
+  for (let targetY = top; targetY < bottom; targetY++) {
+    for (let targetX = left; targetX < right; targetX++) {
+      // Rotate the pixel center back into the image.
+      const dx = targetX + 0.5 - x;
+      const dy = targetY + 0.5 - y;
+      const sourceX = pivotX + dx * cos + dy * sin;
+      const sourceY = pivotY - dx * sin + dy * cos;
+      const [r, g, b, a] = samplePremultiplied(image, sourceX, sourceY);
+      if (a > 0) {
+        const alpha = a / 0xFF;
+        blendPixel(target, targetX, targetY, r / alpha, g / alpha, b / alpha, a);
+      }
+    }
+  }
+}
@@ -0,0 +1,44 @@
+export type TablePreview = RgbaImage & {
+  issues: ValidationIssue[];
+};
+
+export type TablePreviewOptions = {
+  tile?: ImageInput;
+  scale?: number;
+  labelX?: number;
+  valueX?: number;
+  unitX?: number;
+};
+
+/**
+ * Renders a table view as the device would show it for a set of measurement values.
+ *
+ * The screen is filled with backgroundColor, covered with the 96x96 tables tile if provided, and split
+ * into ten rows. Each row shows the label from labelX, the value formatted with its decimals and ending at
+ * valueX, and the unit from unitX, all in fontColor. Rows outside of their warning thresholds are
+ * highlighted and their value is shown in the digits warning color.
+ *
+ * Labels running into values, values running into units and units running off the screen are reported as
+ * warnings with paths relative to the table config, e.g. "rows[3].label".
+ *
+ * @param {Config} config Colors are taken from the config.
+ * @param {TableConfig} tableConfig Table to render, usually one of config.tableConfigs.
+ * @param {Array<number|undefined|null>} values One value per row, rows without a value show an empty value.
+ * @param {{tile: (ImageInput|undefined), scale: (number|undefined), labelX: (number|undefined),
+ *     valueX: (number|undefined), unitX: (number|undefined)}} [options] 96x96 tables background image, font
+ *     scale (3 by default) and column positions.
+ *
+ * @returns {TablePreview} 800x480 RGBA image with the layout issues found while rendering.
+ * @throws {Error} Tile must be 96x96.
+ */
+export function renderTablePreview(
+  config: Config,
+  tableConfig: TableConfig,
+  values: Array<number | undefined | null>,
+  options?: TablePreviewOptions
+): TablePreview;
+
+import {Config, TableConfig} from './config-model.js';
+import {ValidationIssue} from './config-validator.js';
+import {ImageInput} from './image-input.js';
+import {RgbaImage} from './preview-drawing.js';
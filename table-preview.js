@@ -0,0 +1,101 @@
+/**
+ * @file Offline preview of the table views, to catch long labels and overlapping columns before flashing.
+ */
+
+"use strict";
+
+import {FONT_CELL_WIDTH, measureText, renderText} from './bitmap-font.js';
+import {ValidationIssue} from './config-validator.js';
+import {formatValue, isWarningValue} from './gauge-preview.js';
+import {fitImage} from './image-fit.js';
+import {decodeImage} from './image-input.js';
+import {createImage, drawGlyph, drawImage, fillRect} from './preview-drawing.js';
+
+const SCREEN_WIDTH = 800;
+const SCREEN_HEIGHT = 480;
+const TILE_SIZE = 96;
+const ROWS = 10;
+
+/**
+ * Default column positions in screen pixels and integer font scale.
+ */
+const DEFAULT_LAYOUT = {scale: 3, labelX: 16, valueX: 620, unitX: 636};
+
+/**
+ * @typedef {{width: number, height: number, data: Uint8ClampedArray, issues: Array<ValidationIssue>}}
+ *     TablePreview
+ */
+
+/**
+ * Renders a table view as the device would show it for a set of measurement values.
+ *
+ * The screen is filled with backgroundColor, covered with the 96x96 tables tile if provided, and split
+ * into ten rows. Each row shows the label from labelX, the value formatted with its decimals and ending at
+ * valueX, and the unit from unitX, all in fontColor. Rows outside of their warning thresholds are
+ * highlighted and their value is shown in the digits warning color.
+ *
+ * Labels running into values, values running into units and units running off the screen are reported as
+ * warnings with paths relative to the table config, e.g. "rows[3].label".
+ *
+ * @param {Config} config Colors are taken from the config.
+ * @param {TableConfig} tableConfig Table to render, usually one of config.tableConfigs.
+ * @param {Array<number|undefined|null>} values One value per row, rows without a value show an empty value.
+ * @param {{tile: (ImageInput|undefined), scale: (number|undefined), labelX: (number|undefined),
+ *     valueX: (number|undefined), unitX: (number|undefined)}} [options] 96x96 tables background image, font
+ *     scale (3 by default) and column positions.
+ *
+ * @returns {TablePreview} 800x480 RGBA image with the layout issues found while rendering.
+ * @throws {Error} Tile must be 96x96.
+ */
+export function renderTablePreview(config, tableConfig, values, options = {}) {
+  const {scale, labelX, valueX, unitX} = {...DEFAULT_LAYOUT, ...options};
+  const screen = createImage(SCREEN_WIDTH, SCREEN_HEIGHT, config.backgroundColor);
+  if (options.tile) {
+    const {width, height, data} = decodeImage(options.tile);
+    const tile = {width: TILE_SIZE, height: TILE_SIZE, data: fitImage(data, width, height, TILE_SIZE, TILE_SIZE)};
+    for (let y = 0; y < SCREEN_HEIGHT; y += TILE_SIZE) {
+      for (let x = 0; x < SCREEN_WIDTH; x += TILE_SIZE) {
+        drawImage(screen, tile, x, y);
+      }
+    }
+  }
+
+  const issues = [];
+  const rowHeight = SCREEN_HEIGHT / ROWS;
+  const gap = (FONT_CELL_WIDTH - 5) * scale;
+  tableConfig.rows.slice(0, ROWS).forEach((row, index) => {
+    const value = values[index];
+    const hasValue = typeof value === 'number';
+    const warning = hasValue && isWarningValue(row, value);
+    const top = index * rowHeight;
+    const textTop = top + (rowHeight - measureText('', scale)[1]) / 2;
+    if (warning) {
+      fillRect(screen, 0, top, SCREEN_WIDTH, rowHeight, config.digitsConfig.warningColor, 0x40);
+    }
+
+    const label = renderText(row.label, scale);
+    const text = renderText(hasValue ? formatValue(value, row.decimals) : '', scale);
+    const unit = renderText(row.unit, scale);
+    const valueLeft = valueX - text.width;
+    drawGlyph(screen, label, labelX, textTop, config.fontColor);
+    drawGlyph(screen, text, valueLeft, textTop, warning ? config.digitsConfig.warningColor : config.fontColor);
+    drawGlyph(screen, unit, unitX, textTop, config.fontColor);
+
+    const path = `rows[${index}]`;
+    if (label.width > 0 && labelX + label.width + gap > Math.min(valueLeft, unitX)) {
+      issues.push(new ValidationIssue(`${path}.label`, 'warning',
+        `Label ends at x=${labelX + label.width} and runs into the value column.`, row.label));
+    }
+    if (text.width > 0 && valueX + gap > unitX) {
+      issues.push(new ValidationIssue(`${path}.unit`, 'warning',
+        `Value ends at x=${valueX} and runs into the unit column at x=${unitX}.`, row.unit));
+    }
+    if (unitX + unit.width > SCREEN_WIDTH) {
+      issues.push(new ValidationIssue(`${path}.unit`, 'warning',
+        `Unit ends at x=${unitX + unit.width}, outside of the ${SCREEN_WIDTH} pixel wide screen.`, row.unit,
+        {max: SCREEN_WIDTH}));
+    }
+  });
+
+  return {width: SCREEN_WIDTH, height: SCREEN_HEIGHT, data: screen.data, issues};
+}
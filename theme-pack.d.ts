@@ -0,0 +1,69 @@
+export const THEME_FORMAT_VERSION: number;
+
+/**
+ * Theme to pack. Source images are PNG or BMP files or raw RGBA images, which are stored as PNG.
+ */
+export type Theme = {
+  name: string;
+  author?: string;
+  firmwareVersion?: string;
+  config: Config;
+  needles: Array<ImageInput>;
+  digits?: Partial<Record<DigitKey, ImageInput>>;
+  gaugesBackground: ImageInput;
+  tablesBackground?: ImageInput;
+  backgroundOptions?: FitOptions & {quantization?: QuantizationMode};
+};
+
+export type ThemeManifest = {
+  formatVersion: number;
+  name: string;
+  author: string;
+  firmwareVersion: string;
+  settingsVersion: number;
+  files: Record<string, {size: number; crc32: string}>;
+};
+
+export type UnpackedTheme = {
+  manifest: ThemeManifest;
+  config: Config;
+  settings: ArrayBuffer;
+  needles: ArrayBuffer;
+  background: ArrayBuffer;
+  images: {
+    needles: Array<ArrayBuffer | undefined>;
+    digits: Partial<Record<DigitKey, ArrayBuffer>>;
+    gaugesBackground?: ArrayBuffer;
+    tablesBackground?: ArrayBuffer;
+  };
+};
+
+/**
+ * Packs a theme into a single file. The binaries are generated from the config and source images with the
+ * converters, the config is validated in strict mode.
+ *
+ * @param {Theme} theme
+ *
+ * @returns {ArrayBuffer} Theme pack.
+ * @throws {Error} Name, config, three needles and gauges background are required, images must be PNG or BMP
+ *     files or raw RGBA images and everything must convert.
+ */
+export function packTheme(theme: Theme): ArrayBuffer;
+
+/**
+ * Reads a theme pack and checks every file against the manifest and config.json against settings.bin.
+ *
+ * Returned binaries and images are copies, so they can be passed to the converters or packed again.
+ *
+ * @param {ArrayBuffer} buffer Theme pack created by packTheme.
+ *
+ * @returns {UnpackedTheme}
+ * @throws {Error} Pack must be valid, of a supported format version and match its manifest, config.json
+ *     must describe settings.bin.
+ */
+export function unpackTheme(buffer: ArrayBuffer): UnpackedTheme;
+
+import {Config} from './config-model.js';
+import {DigitKey, QuantizationMode} from './image-converter.js';
+import {FitOptions} from './image-fit.js';
+import {ImageInput} from './image-input.js';
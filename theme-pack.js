@@ -0,0 +1,217 @@
+/**
+ * @file Theme packs: one file with the settings, needles and background binaries, their sources and a manifest.
+ *
+ * A theme pack is a ZIP archive with uncompressed entries, so it can also be opened with any archive tool:
+ * - manifest.json - name, author, firmware version and size and CRC-32 of every other file,
+ * - config.json - the config as JSON,
+ * - settings.bin, needles.bin, background.bin - binaries ready to be loaded into FIS-Control,
+ * - images/ - source images the binaries were generated from.
+ */
+
+"use strict";
+
+import {CONFIG_VERSION, convertBinaryToConfig, convertConfigToBinary} from './config-converter.js';
+import {diffConfigBinaries} from './config-diff.js';
+import {configFromJSON, configToJSON} from './config-json.js';
+import {clampedRGBAToPngArrayBuffer, convertBackgrounds, convertNeedlesAndDigits} from './image-converter.js';
+import {decodeImage} from './image-input.js';
+import {crc32, createZip, readZip} from './zip-archive.js';
+
+export const THEME_FORMAT_VERSION = 1;
+
+const MANIFEST_FILE = 'manifest.json';
+const CONFIG_FILE = 'config.json';
+const BINARY_FILES = {settings: 'settings.bin', needles: 'needles.bin', background: 'background.bin'};
+const DIGIT_IMAGE_NAMES = {
+  '0': 'digit0', '1': 'digit1', '2': 'digit2', '3': 'digit3', '4': 'digit4', '5': 'digit5', '6': 'digit6',
+  '7': 'digit7', '8': 'digit8', '9': 'digit9', '.': 'digitDot', '-': 'digitMinus',
+};
+
+/**
+ * @typedef {{name: string, author: string, firmwareVersion: string, config: Config,
+ *     needles: Array<ImageInput>, digits: (Object.<string, ImageInput>|undefined),
+ *     gaugesBackground: ImageInput, tablesBackground: (ImageInput|undefined),
+ *     backgroundOptions: ({fit: (string|undefined), filter: (string|undefined),
+ *     quantization: (string|undefined)}|undefined)}} Theme
+ */
+
+/**
+ * @typedef {{formatVersion: number, name: string, author: string, firmwareVersion: string,
+ *     settingsVersion: number, files: Object.<string, {size: number, crc32: string}>}} ThemeManifest
+ */
+
+/**
+ * Returns the bytes of a file without copying them.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data
+ *
+ * @returns {Uint8Array}
+ */
+function toBytes(data) {
+  return data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Returns a source image as file for the pack. PNG and BMP files are stored as they are, raw RGBA images are
+ * encoded as PNG.
+ *
+ * @param {ImageInput} image
+ * @param {string} name Image name used in the file name and error messages.
+ *
+ * @returns {{name: string, data: Uint8Array}}
+ * @throws {Error} Image must be a PNG or BMP file or raw RGBA data matching its size.
+ */
+function imageFile(image, name) {
+  let decoded;
+  try {
+    decoded = decodeImage(image);
+  } catch (e) {
+    throw new Error(`Source image ${name}: ${e.message}`);
+  }
+  if (image instanceof ArrayBuffer || ArrayBuffer.isView(image)) {
+    const bytes = toBytes(image);
+    return {name: `images/${name}.${bytes[0] === 0x42 ? 'bmp' : 'png'}`, data: bytes};
+  }
+  const png = clampedRGBAToPngArrayBuffer(decoded.data, decoded.width, decoded.height);
+  return {name: `images/${name}.png`, data: new Uint8Array(png)};
+}
+
+/**
+ * Packs a theme into a single file. The binaries are generated from the config and source images with the
+ * converters, the config is validated in strict mode.
+ *
+ * @param {Theme} theme
+ *
+ * @returns {ArrayBuffer} Theme pack.
+ * @throws {Error} Name, config, three needles and gauges background are required, images must be PNG or BMP
+ *     files or raw RGBA images and everything must convert.
+ */
+export function packTheme(theme) {
+  if (!theme || !theme.name || !theme.config) {
+    throw new Error('Theme name and config are required.');
+  }
+  if (!theme.needles || theme.needles.length !== 3 || !theme.needles.every((needle) => needle)) {
+    throw new Error('Theme needs three needle images.');
+  }
+  if (!theme.gaugesBackground) {
+    throw new Error('Theme needs a gauges background image.');
+  }
+
+  const digits = theme.digits || {};
+  const images = [
+    ...theme.needles.map((needle, index) => [`needle${index + 1}`, needle]),
+    ...Object.entries(digits).filter(([, image]) => image).map(([key, image]) => {
+      if (!DIGIT_IMAGE_NAMES[key]) {
+        throw new Error(`Unknown digit "${key}". Use one of ${Object.keys(DIGIT_IMAGE_NAMES).join(' ')}.`);
+      }
+      return [DIGIT_IMAGE_NAMES[key], image];
+    }),
+    ['gauges', theme.gaugesBackground],
+    ['tables', theme.tablesBackground],
+  ].filter(([, image]) => image).map(([name, image]) => imageFile(image, name));
+
+  const files = [
+    {name: CONFIG_FILE, data: new TextEncoder().encode(configToJSON(theme.config))},
+    {name: BINARY_FILES.settings, data: toBytes(convertConfigToBinary(theme.config, {strict: true}))},
+    {name: BINARY_FILES.needles, data: toBytes(convertNeedlesAndDigits({needles: theme.needles, digits}))},
+    {
+      name: BINARY_FILES.background,
+      data: toBytes(convertBackgrounds(theme.gaugesBackground, theme.tablesBackground, theme.backgroundOptions)),
+    },
+    ...images,
+  ];
+
+  const manifest = {
+    formatVersion: THEME_FORMAT_VERSION,
+    name: theme.name,
+    author: theme.author || '',
+    firmwareVersion: theme.firmwareVersion || '',
+    settingsVersion: CONFIG_VERSION,
+    files: Object.fromEntries(files.map((file) => [file.name, {
+      size: file.data.length,
+      crc32: crc32(file.data).toString(16).padStart(8, '0'),
+    }])),
+  };
+
+  return createZip([
+    {name: MANIFEST_FILE, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2) + '\n')},
+    ...files,
+  ]);
+}
+
+/**
+ * Reads a theme pack and checks every file against the manifest and config.json against settings.bin.
+ *
+ * Returned binaries and images are copies, so they can be passed to the converters or packed again.
+ *
+ * @param {ArrayBuffer} buffer Theme pack created by packTheme.
+ *
+ * @returns {{manifest: ThemeManifest, config: Config, settings: ArrayBuffer, needles: ArrayBuffer,
+ *     background: ArrayBuffer, images: {needles: Array<ArrayBuffer>, digits: Object.<string, ArrayBuffer>,
+ *     gaugesBackground: ArrayBuffer, tablesBackground: (ArrayBuffer|undefined)}}}
+ * @throws {Error} Pack must be valid, of a supported format version and match its manifest, config.json
+ *     must describe settings.bin.
+ */
+export function unpackTheme(buffer) {
+  if (!(buffer instanceof ArrayBuffer)) {
+    throw new Error('Invalid theme pack data provided.');
+  }
+  const entries = readZip(buffer);
+  if (!entries.has(MANIFEST_FILE)) {
+    throw new Error('Theme pack has no manifest.');
+  }
+
+  const manifest = JSON.parse(new TextDecoder().decode(entries.get(MANIFEST_FILE)));
+  if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion > THEME_FORMAT_VERSION) {
+    throw new Error(`Unsupported theme pack format version ${manifest.formatVersion}.`);
+  }
+  for (const [name, {size, crc32: checksum}] of Object.entries(manifest.files || {})) {
+    const data = entries.get(name);
+    if (!data) {
+      throw new Error(`Theme pack is missing ${name}.`);
+    }
+    if (data.length !== size || crc32(data).toString(16).padStart(8, '0') !== checksum) {
+      throw new Error(`Theme pack file ${name} doesn't match its manifest checksum.`);
+    }
+  }
+  for (const name of [CONFIG_FILE, ...Object.values(BINARY_FILES)]) {
+    if (!manifest.files || !manifest.files[name]) {
+      throw new Error(`Theme pack is missing ${name}.`);
+    }
+  }
+
+  const copy = (data) => data.slice().buffer;
+  const findImage = (name) => {
+    const entry = entries.get(`images/${name}.png`) || entries.get(`images/${name}.bmp`);
+    return entry ? copy(entry) : undefined;
+  };
+
+  const settings = copy(entries.get(BINARY_FILES.settings));
+  // Fails on a corrupted settings checksum or an unsupported version.
+  convertBinaryToConfig(settings);
+  const config = configFromJSON(new TextDecoder().decode(entries.get(CONFIG_FILE)));
+  // Compared as binaries, so values are rounded and cut the same way on both sides.
+  const differences = diffConfigBinaries(settings, convertConfigToBinary(config));
+  if (differences.length > 0) {
+    const paths = differences.map((difference) => difference.path || `bytes at ${difference.offset}`);
+    throw new Error(`Theme pack ${CONFIG_FILE} doesn't match ${BINARY_FILES.settings}: ${paths.join(', ')}.`);
+  }
+
+  return {
+    manifest,
+    config,
+    settings,
+    needles: copy(entries.get(BINARY_FILES.needles)),
+    background: copy(entries.get(BINARY_FILES.background)),
+    images: {
+      needles: [1, 2, 3].map((index) => findImage(`needle${index}`)),
+      digits: Object.fromEntries(Object.entries(DIGIT_IMAGE_NAMES)
+        .map(([key, name]) => [key, findImage(name)])
+        .filter(([, image]) => image)),
+      gaugesBackground: findImage('gauges'),
+      tablesBackground: findImage('tables'),
+    },
+  };
+}
@@ -0,0 +1,29 @@
+/**
+ * Calculates the CRC-32 checksum used by ZIP and PNG.
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @returns {number} Unsigned 32 bit checksum.
+ */
+export function crc32(bytes: Uint8Array): number;
+
+/**
+ * Creates a ZIP archive with uncompressed entries.
+ *
+ * @param {Array<{name: string, data: Uint8Array}>} entries Files in archive order, names use "/" as folder
+ *     separator.
+ *
+ * @returns {ArrayBuffer}
+ * @throws {Error} Names must be unique.
+ */
+export function createZip(entries: Array<{name: string; data: Uint8Array}>): ArrayBuffer;
+
+/**
+ * Reads the entries of a ZIP archive with uncompressed entries.
+ *
+ * @param {ArrayBuffer} buffer
+ *
+ * @returns {Map<string, Uint8Array>} Entry data by name, in archive order. Data shares the buffer.
+ * @throws {Error} Archive must be valid, uncompressed and its checksums must match.
+ */
+export function readZip(buffer: ArrayBuffer): Map<string, Uint8Array>;
@@ -0,0 +1,172 @@
+/**
+ * @file Minimal ZIP archive writer and reader for uncompressed ("stored") entries.
+ */
+
+"use strict";
+
+const LOCAL_HEADER_SIGNATURE = 0x04034B50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054B50;
+const VERSION = 20; // 2.0, the first version with stored entries in folders.
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+// 1980-01-01 00:00, so archives of the same files are byte identical.
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+const CRC32_TABLE = new Uint32Array(256).map((value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * Calculates the CRC-32 checksum used by ZIP and PNG.
+ *
+ * @param {Uint8Array} bytes
+ *
+ * @returns {number} Unsigned 32 bit checksum.
+ */
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Creates a ZIP archive with uncompressed entries.
+ *
+ * @param {Array<{name: string, data: Uint8Array}>} entries Files in archive order, names use "/" as folder
+ *     separator.
+ *
+ * @returns {ArrayBuffer}
+ * @throws {Error} Names must be unique.
+ */
+export function createZip(entries) {
+  const encoder = new TextEncoder();
+  const names = new Set();
+  const files = entries.map(({name, data}) => {
+    if (names.has(name)) {
+      throw new Error(`Duplicate archive entry "${name}".`);
+    }
+    names.add(name);
+    return {name: encoder.encode(name), data, crc: crc32(data)};
+  });
+
+  const localSize = files.reduce((sum, file) => sum + 30 + file.name.length + file.data.length, 0);
+  const centralSize = files.reduce((sum, file) => sum + 46 + file.name.length, 0);
+  const buffer = new ArrayBuffer(localSize + centralSize + 22);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  let offset = 0;
+  for (const file of files) {
+    file.offset = offset;
+    view.setUint32(offset, LOCAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, VERSION, true);
+    view.setUint16(offset + 6, UTF8_FLAG, true);
+    view.setUint16(offset + 8, STORED, true);
+    view.setUint16(offset + 10, DOS_TIME, true);
+    view.setUint16(offset + 12, DOS_DATE, true);
+    view.setUint32(offset + 14, file.crc, true);
+    view.setUint32(offset + 18, file.data.length, true);
+    view.setUint32(offset + 22, file.data.length, true);
+    view.setUint16(offset + 26, file.name.length, true);
+    view.setUint16(offset + 28, 0, true);
+    bytes.set(file.name, offset + 30);
+    bytes.set(file.data, offset + 30 + file.name.length);
+    offset += 30 + file.name.length + file.data.length;
+  }
+
+  const centralOffset = offset;
+  for (const file of files) {
+    view.setUint32(offset, CENTRAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, VERSION, true);
+    view.setUint16(offset + 6, VERSION, true);
+    view.setUint16(offset + 8, UTF8_FLAG, true);
+    view.setUint16(offset + 10, STORED, true);
+    view.setUint16(offset + 12, DOS_TIME, true);
+    view.setUint16(offset + 14, DOS_DATE, true);
+    view.setUint32(offset + 16, file.crc, true);
+    view.setUint32(offset + 20, file.data.length, true);
+    view.setUint32(offset + 24, file.data.length, true);
+    view.setUint16(offset + 28, file.name.length, true);
+    // Extra field, comment, disk number, attributes are all zero.
+    view.setUint32(offset + 42, file.offset, true);
+    bytes.set(file.name, offset + 46);
+    offset += 46 + file.name.length;
+  }
+
+  view.setUint32(offset, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, offset - centralOffset, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  return buffer;
+}
+
+/**
+ * Reads the entries of a ZIP archive with uncompressed entries.
+ *
+ * @param {ArrayBuffer} buffer
+ *
+ * @returns {Map<string, Uint8Array>} Entry data by name, in archive order. Data shares the buffer.
+ * @throws {Error} Archive must be valid, uncompressed and its checksums must match.
+ */
+export function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record is followed by a comment of up to 64 KB.
+  let end = -1;
+  for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a ZIP archive.');
+  }
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > end || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupted ZIP central directory.');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (method !== STORED) {
+      throw new Error(`ZIP entry "${name}" is compressed, only stored entries are supported.`);
+    }
+    if (localOffset + 30 > buffer.byteLength || view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupted ZIP entry "${name}".`);
+    }
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    if (dataOffset + size > buffer.byteLength) {
+      throw new Error(`ZIP entry "${name}" is truncated.`);
+    }
+    const data = bytes.subarray(dataOffset, dataOffset + size);
+    if (crc32(data) !== crc) {
+      throw new Error(`ZIP entry "${name}" is corrupted, checksum mismatch.`);
+    }
+    entries.set(name, data);
+  }
+  return entries;
+}